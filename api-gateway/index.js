@@ -4,6 +4,7 @@ const http = require('http');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const fetch = require('node-fetch');
 const WebSocket = require('ws');
+const { IDENTITY_HEADER, verifyAccessToken, encodeIdentity } = require('../shared/auth');
 
 // --- Environment Configuration ---
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3002';
@@ -120,11 +121,25 @@ const routeConfig = [
     { path: '/police/locations', target: LOCATION_SERVICE_URL },
     { path: '/police/location', target: LOCATION_SERVICE_URL },
     { path: '/firefighter/location', target: LOCATION_SERVICE_URL },
-    // Must be after specific police routes
+    { path: '/paramedic/location', target: LOCATION_SERVICE_URL },
+    { path: '/traffic/location', target: LOCATION_SERVICE_URL },
+    { path: '/police/availability', target: LOCATION_SERVICE_URL },
+    { path: '/firefighter/availability', target: LOCATION_SERVICE_URL },
+    { path: '/paramedic/availability', target: LOCATION_SERVICE_URL },
+    { path: '/traffic/availability', target: LOCATION_SERVICE_URL },
+    { path: '/police/track', target: LOCATION_SERVICE_URL },
+    { path: '/firefighter/track', target: LOCATION_SERVICE_URL },
+    { path: '/paramedic/track', target: LOCATION_SERVICE_URL },
+    { path: '/traffic/track', target: LOCATION_SERVICE_URL },
+    // Must be after the specific responder routes
     { path: '/police', target: AUTH_SERVICE_URL },
+    { path: '/token', target: AUTH_SERVICE_URL },
     { path: '/citizen', target: AUTH_SERVICE_URL },
     { path: '/firefighter', target: AUTH_SERVICE_URL },
+    { path: '/paramedic', target: AUTH_SERVICE_URL },
+    { path: '/traffic', target: AUTH_SERVICE_URL },
     { path: '/alerts', target: ALERTS_SERVICE_URL },
+    { path: '/dispatch-plans', target: ALERTS_SERVICE_URL },
     { path: '/route', target: DIRECTIONS_SERVICE_URL },
 ];
 
@@ -153,6 +168,7 @@ const pathRewrite = {
 const apiProxy = createProxyMiddleware({
     router,
     changeOrigin: true,
+    xfwd: true, // Forward the client IP so the Auth Service can log login attempts.
     proxyTimeout: PROXY_TIMEOUT_MS,
     pathRewrite,
     on: {
@@ -162,15 +178,83 @@ const apiProxy = createProxyMiddleware({
     }
 });
 
+// --- Authentication ---
+
+// Routes that can be called without an access token. Paths are relative to the '/api' mount point.
+const PUBLIC_ROUTES = [
+    { method: 'POST', path: '/citizen/register' },
+    { method: 'POST', path: '/citizen/login' },
+    { method: 'POST', path: '/citizen/password/reset-request' },
+    { method: 'POST', path: '/citizen/password/reset' },
+    { method: 'POST', path: '/police/register' },
+    { method: 'POST', path: '/police/login' },
+    { method: 'POST', path: '/firefighter/register' },
+    { method: 'POST', path: '/firefighter/login' },
+    { method: 'POST', path: '/paramedic/register' },
+    { method: 'POST', path: '/paramedic/login' },
+    { method: 'POST', path: '/traffic/register' },
+    { method: 'POST', path: '/traffic/login' },
+    { method: 'POST', path: '/token/refresh' },
+    { method: 'POST', path: '/token/revoke' },
+];
+
+const isPublicRoute = (req) => PUBLIC_ROUTES.some(route => route.method === req.method && route.path === req.path);
+
+/**
+ * Verifies the bearer access token on every non-public request and forwards the
+ * caller's identity to downstream services in a trusted header.
+ */
+const authenticate = (req, res, next) => {
+    // Never let a client supply its own identity header.
+    delete req.headers[IDENTITY_HEADER];
+
+    if (req.method === 'OPTIONS' || isPublicRoute(req)) return next();
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Missing bearer access token.' });
+    }
+
+    try {
+        const identity = verifyAccessToken(token);
+        req.headers[IDENTITY_HEADER] = encodeIdentity(identity);
+        next();
+    } catch (error) {
+        console.warn(`[Auth] Rejected token for ${req.method} ${req.originalUrl}: ${error.message}`);
+        res.status(401).json({ message: 'Invalid or expired access token.' });
+    }
+};
+
 // --- API Gateway Proxy Routing ---
 
-// All API requests are handled by the single proxy instance.
-app.use('/api', apiProxy);
+// All API requests are authenticated, then handled by the single proxy instance.
+app.use('/api', authenticate, apiProxy);
 
 
 // --- WebSocket Upgrade Handling ---
+// Clients may authenticate during the handshake with `?access_token=<jwt>`. A valid token is
+// replaced by the trusted identity header; an invalid one rejects the upgrade. Clients without a
+// token must send an `auth` message, which the WebSocket Service verifies within a grace period.
 server.on('upgrade', (req, socket, head) => {
     console.log('[API Gateway] Attempting to upgrade WebSocket connection...');
+    delete req.headers[IDENTITY_HEADER];
+
+    const url = new URL(req.url, 'http://gateway.local');
+    const token = url.searchParams.get('access_token');
+    if (token) {
+        try {
+            req.headers[IDENTITY_HEADER] = encodeIdentity(verifyAccessToken(token));
+        } catch (error) {
+            console.warn(`[API Gateway] Rejected WebSocket upgrade: ${error.message}`);
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        // Keep the token out of downstream logs.
+        url.searchParams.delete('access_token');
+        req.url = `${url.pathname}${url.search}`;
+    }
+
     const wsProxy = createProxyMiddleware({
         target: WEBSOCKET_SERVICE_URL,
         ws: true,
@@ -0,0 +1,64 @@
+/**
+ * Creates the first admin of a new deployment, or restores admin access to an existing account.
+ * Every other account is approved and promoted through the API by an admin or supervisor, but
+ * the first one has nobody to do that for it.
+ *
+ * The account is written through the Database Service, which must be running and reachable at
+ * DATABASE_SERVICE_URL. The password is read from ADMIN_PASSWORD rather than the command line,
+ * so it does not end up in the shell history.
+ *
+ * Usage: ADMIN_PASSWORD=... node scripts/create-admin.js <type> <badge or unit number>
+ *   e.g. ADMIN_PASSWORD=... node scripts/create-admin.js police A-100
+ */
+const { RESPONDER_TYPES } = require('../shared/responders');
+
+const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://localhost:3008';
+const MIN_PASSWORD_LENGTH = 6; // Same as the Auth Service requires of responders.
+
+async function request(path, options) {
+    const response = await fetch(`${DATABASE_SERVICE_URL}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+    });
+    const data = response.status === 204 ? null : await response.json();
+    return { status: response.status, data };
+}
+
+async function createAdmin(type, id, password) {
+    const accountPath = `/responders/${encodeURIComponent(type)}/${encodeURIComponent(id)}`;
+    const registered = await request(`/responders/${encodeURIComponent(type)}/register`, {
+        method: 'POST',
+        body: JSON.stringify({ id, password }),
+    });
+    if (registered.status === 409) {
+        // The account exists: give it the new password instead.
+        const updated = await request(`${accountPath}/credentials`, { method: 'PUT', body: JSON.stringify({ password }) });
+        if (updated.status !== 204) throw new Error(updated.data.message);
+    } else if (registered.status !== 201) {
+        throw new Error(registered.data.message);
+    }
+    const promoted = await request(`${accountPath}/status`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: 'active', accessLevel: 'admin' }),
+    });
+    if (promoted.status !== 200) throw new Error(promoted.data.message);
+    return promoted.data;
+}
+
+async function main() {
+    const [type, id] = process.argv.slice(2);
+    const password = process.env.ADMIN_PASSWORD;
+    if (!Object.prototype.hasOwnProperty.call(RESPONDER_TYPES, type) || !id) {
+        throw new Error(`Usage: ADMIN_PASSWORD=... node scripts/create-admin.js <${Object.keys(RESPONDER_TYPES).join('|')}> <number>`);
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    const account = await createAdmin(type, id, password);
+    console.log(`${type} ${account.id} is an active admin.`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
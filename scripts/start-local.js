@@ -0,0 +1,42 @@
+/**
+ * Starts every service in a single Node.js process using the in-memory message queue, so the
+ * whole system can run locally without a RabbitMQ broker.
+ *
+ * Usage: JWT_SECRET=dev-secret npm run start:local
+ */
+const path = require('path');
+
+process.env.MQ_TRANSPORT = 'memory';
+// Each service falls back to its own default port; a shared PORT would make them collide.
+delete process.env.PORT;
+
+const LOCAL_SERVICE_URLS = {
+    AUTH_SERVICE_URL: 'http://localhost:3002',
+    ALERTS_SERVICE_URL: 'http://localhost:3003',
+    LOCATION_SERVICE_URL: 'http://localhost:3004',
+    DIRECTIONS_SERVICE_URL: 'http://localhost:3005',
+    WEBSOCKET_SERVICE_URL: 'ws://localhost:3006',
+    AI_ANALYSIS_SERVICE_URL: 'http://localhost:3007',
+    DATABASE_SERVICE_URL: 'http://localhost:3008',
+};
+for (const [name, url] of Object.entries(LOCAL_SERVICE_URLS)) {
+    process.env[name] = process.env[name] || url;
+}
+
+// The Database Service starts first since every other service depends on it.
+const SERVICES = [
+    'services/database-service',
+    'services/auth-service',
+    'services/ai-analysis-service',
+    'services/location-service',
+    'services/directions-service',
+    'services/alerts-service',
+    'services/notifications-service',
+    'services/websocket-service',
+    'api-gateway',
+];
+
+for (const service of SERVICES) {
+    console.log(`[Local] Starting ${service}...`);
+    require(path.join(__dirname, '..', service, 'index.js'));
+}
@@ -37,7 +37,7 @@ app.post('/analyze', async (req, res) => {
         return res.status(500).json({ message: 'AI service is not configured.' });
     }
 
-    const { message, audioBase64 } = req.body;
+    const { message, audioBase64, audioMimeType } = req.body;
     let analysisText = message;
 
     // If there's no text message but there is audio, transcribe the audio first.
@@ -47,7 +47,7 @@ app.post('/analyze', async (req, res) => {
             const audioPart = {
                 inlineData: {
                     // The client recorder (expo-audio) typically creates m4a files, which use the mp4 container.
-                    mimeType: 'audio/mp4',
+                    mimeType: audioMimeType || 'audio/mp4',
                     data: audioBase64,
                 },
             };
@@ -0,0 +1,41 @@
+/**
+ * Dispatch plans: the units each alert category needs.
+ * Every unit of a plan is a responder type, how many responders of that type must accept the
+ * alert (`count`), and how many of them are targeted at most at each escalation stage
+ * (`maxTargeted`), closest first. Plans are kept by the Database Service in its category to
+ * responder type mapping; categories without one get the default plan.
+ */
+
+const DEFAULT_PLAN = [{ type: 'police', count: 1, maxTargeted: 5 }];
+
+/**
+ * Groups rows of the Database Service's category to responder type mapping into plans by category.
+ * @param {Array<{ category: string, responderType: string, count: number, maxTargeted: number }>} rows
+ * @returns {Object<string, Array<{ type: string, count: number, maxTargeted: number }>>}
+ */
+function toPlans(rows) {
+    const plans = {};
+    for (const { category, responderType, count, maxTargeted } of rows) {
+        (plans[category] = plans[category] || []).push({ type: responderType, count, maxTargeted });
+    }
+    return plans;
+}
+
+/**
+ * Returns the units to request for a new alert, none of them targeted or accepted yet.
+ * @param {Array<{ type: string, count: number, maxTargeted: number }>} plan - The plan of the alert's
+ *        category; the default plan is used if it is empty.
+ * @returns {Array<{ type: string, count: number, maxTargeted: number, targeted: object[], acceptedBy: string[] }>}
+ */
+function planUnits(plan) {
+    return (plan.length > 0 ? plan : DEFAULT_PLAN).map(unit => ({ ...unit, targeted: [], acceptedBy: [] }));
+}
+
+/**
+ * Checks whether a unit still needs responders to accept the alert.
+ */
+function isOpen(unit) {
+    return unit.acceptedBy.length < unit.count;
+}
+
+module.exports = { DEFAULT_PLAN, toPlans, planUnits, isOpen };
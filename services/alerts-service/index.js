@@ -1,19 +1,75 @@
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
-const { connect: connectMessageQueue, publish } = require('../../shared/message-queue');
+const { connect: connectMessageQueue } = require('../../shared/message-queue');
 const ngeohash = require('ngeohash');
+const busboy = require('busboy');
+const sharp = require('sharp');
+const { requireIdentity } = require('../../shared/auth');
+const { schemas, validate } = require('../../shared/schemas');
+const { RESPONDER_ROLES, acceptedResponders } = require('../../shared/responders');
+const MediaStore = require('../../shared/media-store');
+const { authorize } = require('./policies');
+const { checkTransition, isFinal } = require('./lifecycle');
+const { toPlans, planUnits, isOpen } = require('./dispatch');
+const OutboxRelay = require('./outbox-relay');
 
 const PORT = process.env.PORT || 3003;
 const LOCATION_SERVICE_URL = process.env.LOCATION_SERVICE_URL || 'http://location-service:3004';
 const AI_ANALYSIS_SERVICE_URL = process.env.AI_ANALYSIS_SERVICE_URL || 'http://ai-analysis-service:3007';
 const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://database-service:3008';
 const INTER_SERVICE_TIMEOUT_MS = 110000; // 110 seconds timeout for calls to other services
+// How often a lifecycle action is re-evaluated when the alert keeps changing underneath it.
+const MAX_UPDATE_ATTEMPTS = 3;
+// Actor recorded in the audit trail for changes made by this service on its own.
+const SYSTEM_ACTOR = { id: 'alerts-service', role: 'system' };
+// Query parameters of GET /alerts that are passed on to the Database Service.
+const ALERT_LIST_PARAMS = ['status', 'category', 'citizenId', 'acceptedBy', 'since', 'until', 'bbox', 'sort', 'limit', 'cursor', 'fields'];
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES || String(10 * 1024 * 1024), 10); // 10 MB
+// Inline base64 audio carries no type. The client recorder (expo-audio) creates m4a files.
+const LEGACY_AUDIO_CONTENT_TYPE = 'audio/mp4';
+const LEGACY_AUDIO_RETRY_MS = 60 * 1000;
+
+// Photos and videos a citizen can attach to an alert, by the content type of the uploaded file.
+const ATTACHMENT_TYPES = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/webp': 'image',
+    'video/mp4': 'video',
+    'video/quicktime': 'video',
+    'video/webm': 'video',
+};
+// Image formats as reported by sharp, which decodes the file rather than trusting its declared type.
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(10 * 1024 * 1024), 10); // 10 MB
+const MAX_VIDEO_BYTES = parseInt(process.env.MAX_VIDEO_BYTES || String(50 * 1024 * 1024), 10); // 50 MB
+const MAX_ATTACHMENTS_PER_ALERT = parseInt(process.env.MAX_ATTACHMENTS_PER_ALERT || '10', 10);
+// Thumbnails fit in a square of this size and are always JPEG.
+const THUMBNAIL_SIZE_PX = 320;
+const THUMBNAIL_CONTENT_TYPE = 'image/jpeg';
+
+// Search radius (km) of each escalation stage. An alert nobody has accepted moves to the next,
+// wider stage when the current one runs out, and times out once the final stage runs out.
+const ESCALATION_RADII_KM = (process.env.ESCALATION_RADII_KM || '5,10,20').split(',').map(Number);
+const ESCALATION_STAGE_DURATION_MS = parseInt(process.env.ESCALATION_STAGE_DURATION_MS || '30000', 10);
+// Ranks responders by driving time rather than straight-line distance. Needs a configured Directions Service.
+const DISPATCH_RANK_BY_ETA = process.env.DISPATCH_RANK_BY_ETA === 'true';
+
+if (ESCALATION_RADII_KM.length === 0 || ESCALATION_RADII_KM.some(radius => !(radius > 0))) {
+    throw new Error('ESCALATION_RADII_KM must be a comma-separated list of positive numbers.');
+}
 
 const app = express();
 app.use(cors());
-// Increased limit to handle base64 audio strings
-app.use(express.json({ limit: '10mb' }));
+// Increased limit to handle base64 audio strings from older clients
+app.use(express.json({ limit: '15mb' }));
+
+// Builds an error carrying the HTTP status to respond with.
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
 
 /**
  * A helper object for making standardized requests to the internal Database Service.
@@ -27,68 +83,277 @@ const dbService = {
         if (response.status === 204) return null; // Handle No Content responses
         const data = await response.json();
         if (!response.ok) {
-            throw new Error(data.message || `Database service error: ${response.status}`);
+            const error = new Error(data.message || `Database service error: ${response.status}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
         }
         return data;
     },
 };
 
 const AlertsService = {
-    timeoutProcessorInterval: null,
+    escalationProcessorInterval: null,
+    processingEscalations: false,
 
     async initialize() {
-        await connectMessageQueue();
+        await connectMessageQueue('alerts-service');
 
         app.get('/', (req, res) => res.send('Alerts Service is running.'));
-        app.post('/alerts', this.createAlert);
-        app.get('/alerts', this.getAlerts);
-        app.post('/alerts/:id/accept', this.acceptAlert);
-        app.post('/alerts/:id/resolve', this.resolveAlert);
-        app.post('/alerts/:id/cancel', this.cancelAlert);
-        app.delete('/alerts/:id', this.deleteAlert);
+        app.post('/alerts', requireIdentity('citizen'), this.createAlert);
+        app.get('/alerts', requireIdentity('citizen', ...RESPONDER_ROLES), this.getAlerts);
+        app.post('/alerts/:id/accept', requireIdentity(...RESPONDER_ROLES), this.acceptAlert);
+        app.post('/alerts/:id/resolve', requireIdentity(), this.resolveAlert);
+        app.post('/alerts/:id/cancel', requireIdentity(), this.cancelAlert);
+        app.delete('/alerts/:id', requireIdentity(), this.deleteAlert);
+        app.get('/alerts/:id/history', requireIdentity(), this.getAlertHistory);
+        app.get('/alerts/:id/messages', requireIdentity(), this.getMessages);
+        app.post('/alerts/:id/messages', requireIdentity(), this.sendMessage);
+        app.post('/alerts/:id/messages/read', requireIdentity(), this.markMessagesRead);
+        app.get('/alerts/:id/audio', requireIdentity(), this.getAlertAudio);
+        app.post('/alerts/:id/attachments', requireIdentity('citizen'), this.addAttachments);
+        app.get('/alerts/:id/attachments/:ref', requireIdentity(), this.getAttachment);
+        app.get('/alerts/:id/attachments/:ref/thumbnail', requireIdentity(), this.getAttachmentThumbnail);
+        app.get('/dispatch-plans', requireIdentity(), this.getDispatchPlans);
+        app.put('/dispatch-plans/:category', requireIdentity(), this.updateDispatchPlan);
 
         app.listen(PORT, () => console.log(`Alerts Service listening on port ${PORT}`));
 
-        // Start the background process to handle alert timeouts.
-        this.timeoutProcessorInterval = setInterval(this.processTimeouts.bind(this), 5000); // Check every 5 seconds
-        console.log('[Alerts] Started background timeout processor.');
+        // Alert events are written to the outbox together with each alert change; the relay delivers them.
+        OutboxRelay.start(dbService);
+
+        // Start the background process that escalates unaccepted alerts and eventually times them out.
+        this.escalationProcessorInterval = setInterval(this.processEscalations.bind(this), 5000); // Check every 5 seconds
+        console.log('[Alerts] Started background escalation processor.');
+
+        this.migrateLegacyAudio();
     },
 
-    async processTimeouts() {
+    /**
+     * Moves audio that older alerts stored inline as base64 into the media store.
+     */
+    async migrateLegacyAudio() {
         try {
-            // Offload the timeout check logic to the database service
-            const { updatedCount, timedOutAlerts } = await dbService.request('/alerts/find-and-update-timeouts', { method: 'POST' });
+            let migrated = 0;
+            for (;;) {
+                const batch = await dbService.request('/alerts/legacy-audio?limit=20');
+                if (batch.length === 0) break;
+                for (const { id, audioBase64 } of batch) {
+                    const { ref, size } = await MediaStore.put(Buffer.from(audioBase64, 'base64'));
+                    await dbService.request(`/alerts/${id}/audio`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ audioRef: ref, audioContentType: LEGACY_AUDIO_CONTENT_TYPE, audioSize: size }),
+                    });
+                    migrated++;
+                }
+            }
+            if (migrated > 0) console.log(`[Alerts] Moved the audio of ${migrated} alerts into the media store.`);
+        } catch (error) {
+            console.error('[Alerts] Failed to migrate legacy alert audio, will retry:', error.message);
+            setTimeout(() => this.migrateLegacyAudio(), LEGACY_AUDIO_RETRY_MS);
+        }
+    },
 
-            if (updatedCount > 0) {
-                console.log(`[Alerts] Found ${updatedCount} timed-out alerts.`);
-                for (const alert of timedOutAlerts) {
-                    if(alert.geohash) {
-                        try {
-                            publish(`alert.updated.${alert.geohash}`, JSON.stringify(alert));
-                        } catch(e) { console.error(`[Alerts] MQ publish failed for timeout update on alert #${alert.id}`, e); }
+    async processEscalations() {
+        // A run can outlast the interval while the Location Service is slow; never overlap runs.
+        if (this.processingEscalations) return;
+        this.processingEscalations = true;
+        try {
+            const dueAlerts = await dbService.request('/alerts/due-for-escalation');
+            for (const alert of dueAlerts) {
+                try {
+                    if (!alert.category) {
+                        // Still being analysed. Its first stage starts once responders have been
+                        // targeted, unless background processing failed altogether.
+                        if (Date.now() - alert.timestamp < ESCALATION_STAGE_DURATION_MS * ESCALATION_RADII_KM.length) continue;
+                        await this._timeOutAlert(alert);
+                    } else if (alert.escalationStage < ESCALATION_RADII_KM.length - 1) {
+                        await this._escalateAlert(alert);
+                    } else {
+                        await this._timeOutAlert(alert);
+                    }
+                } catch (error) {
+                    if (error.status === 409) {
+                        // Changed (e.g. accepted) while being processed; the next run re-evaluates it.
+                        console.log(`[Alerts] Alert #${alert.id} changed during escalation, skipping.`);
+                    } else {
+                        console.error(`[Alerts] Error escalating alert #${alert.id}:`, error);
                     }
                 }
             }
+            if (dueAlerts.length > 0) OutboxRelay.kick();
         } catch (error) {
-            console.error('[Alerts] Error in timeout processor:', error);
+            console.error('[Alerts] Error in escalation processor:', error);
+        } finally {
+            this.processingEscalations = false;
         }
     },
 
+    /**
+     * Moves an alert to its next escalation stage: searches the wider radius and targets, for each
+     * unit, the closest responders found there that were not targeted before.
+     */
+    async _escalateAlert(alert) {
+        const stage = alert.escalationStage + 1;
+        const radiusKm = ESCALATION_RADII_KM[stage];
+        const previouslyTargeted = alert.targetedOfficers || [];
+        // Alerts raised before units were requested get the units of their category from now on.
+        const currentUnits = alert.units.length > 0 ? alert.units : await AlertsService._planUnits(alert.category);
+        const { units, newlyTargeted: found } = await AlertsService._targetUnits(alert.location, currentUnits, stage, radiusKm);
+        // Units never target a responder twice. Alerts without units only know who they targeted by ID.
+        const newlyTargetedResponders = alert.units.length > 0 ? found : found.filter(responder => !previouslyTargeted.includes(responder.id));
+        const newlyTargeted = newlyTargetedResponders.map(responder => responder.id);
+        const timestamp = Date.now();
+
+        const events = [{ routingKey: `alert.updated.${alert.geohash}` }];
+        if (newlyTargeted.length > 0) {
+            events.unshift({
+                routingKey: 'alert.escalated',
+                payload: { targetedOfficers: newlyTargeted, targetedResponders: AlertsService._responderRefs(newlyTargetedResponders) },
+                embedAlertAs: 'alert',
+            });
+        }
+        await dbService.request(`/alerts/${alert.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                expectedVersion: alert.version,
+                escalationStage: stage,
+                searchRadius: radiusKm,
+                timeoutTimestamp: timestamp + ESCALATION_STAGE_DURATION_MS,
+                targetedOfficers: [...previouslyTargeted, ...newlyTargeted],
+                units,
+                escalationHistory: [
+                    ...alert.escalationHistory,
+                    { action: 'escalated', stage, radiusKm, timestamp, newlyTargeted },
+                ],
+                events,
+                audit: [{ type: 'escalated', actor: SYSTEM_ACTOR, details: { stage, radiusKm, newlyTargeted } }],
+            }),
+        });
+        console.log(`[Alerts] Escalated alert #${alert.id} to stage ${stage} (${radiusKm}km), ${newlyTargeted.length} new responders targeted.`);
+    },
+
+    async _timeOutAlert(alert) {
+        const transition = checkTransition(alert.status, 'timed_out');
+        if (!transition.allowed) {
+            console.warn(`[Alerts] Not timing out alert #${alert.id}: ${transition.reason}`);
+            return;
+        }
+        await dbService.request(`/alerts/${alert.id}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                expectedVersion: alert.version,
+                status: 'timed_out',
+                escalationHistory: [
+                    ...alert.escalationHistory,
+                    { action: 'timed_out', stage: alert.escalationStage, radiusKm: alert.searchRadius, timestamp: Date.now() },
+                ],
+                events: [{ routingKey: `alert.updated.${alert.geohash}` }],
+                audit: [{ type: 'timed_out', actor: SYSTEM_ACTOR, details: { stage: alert.escalationStage } }],
+            }),
+        });
+        console.log(`[Alerts] Alert #${alert.id} timed out after stage ${alert.escalationStage}.`);
+    },
+
+    /**
+     * Targets, for each unit that still needs responders, the closest ones within a radius that the
+     * unit has not targeted before, up to the unit's `maxTargeted`.
+     * @returns {Promise<{ units: object[], newlyTargeted: Array<{ id: string, type: string, distanceKm: number, etaSeconds?: number|null }> }>}
+     */
+    async _targetUnits(location, units, stage, radiusKm) {
+        const newlyTargeted = [];
+        const targetedUnits = [];
+        for (const unit of units) {
+            if (!isOpen(unit)) {
+                targetedUnits.push(unit);
+                continue;
+            }
+            const found = await AlertsService._findNearbyResponders(location, unit, radiusKm);
+            newlyTargeted.push(...found);
+            targetedUnits.push({
+                ...unit,
+                targeted: [...unit.targeted, ...found.map(({ id, distanceKm, etaSeconds }) => ({ id, distanceKm, ...(etaSeconds !== undefined && { etaSeconds }), stage }))],
+            });
+        }
+        return { units: targetedUnits, newlyTargeted };
+    },
+
+    /**
+     * Asks the Location Service for the closest responders a unit has not targeted yet within a
+     * radius of a location, ranked by distance or, with DISPATCH_RANK_BY_ETA, by driving time.
+     */
+    async _findNearbyResponders(location, unit, radiusKm) {
+        const response = await fetch(`${LOCATION_SERVICE_URL}/find-nearby`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                location, radiusKm,
+                responderType: unit.type,
+                limit: unit.maxTargeted,
+                excludeIds: unit.targeted.map(responder => responder.id),
+                includeEta: DISPATCH_RANK_BY_ETA,
+            }),
+            timeout: INTER_SERVICE_TIMEOUT_MS,
+        });
+        if (!response.ok) throw new Error(`Location service responded with status ${response.status}`);
+        return (await response.json()).responders || [];
+    },
+
+    /**
+     * Returns the units to request for an alert of a category, from the Database Service's category
+     * to responder type mapping. Falls back to the default plan if the mapping cannot be read.
+     */
+    async _planUnits(category) {
+        try {
+            const rows = await dbService.request(`/category-responder-types?category=${encodeURIComponent(category)}`);
+            return planUnits(toPlans(rows)[category] || []);
+        } catch (error) {
+            console.error(`[Alerts] Could not read the dispatch plan for '${category}', using the default plan:`, error.message);
+            return planUnits([]);
+        }
+    },
+
+    /**
+     * The responders named in push notification events, with their type so that each is looked up
+     * among the right accounts.
+     */
+    _responderRefs(responders) {
+        return responders.map(({ id, type }) => ({ id, type }));
+    },
+
     async getAlerts(req, res) {
+        const repeated = ALERT_LIST_PARAMS.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+        if (repeated) return res.status(400).json({ message: `${repeated} must be given once, as a single value.` });
         try {
-            const alerts = await dbService.request('/alerts');
-            res.json(alerts);
+            const query = new URLSearchParams();
+            for (const param of ALERT_LIST_PARAMS) {
+                if (typeof req.query[param] === 'string') query.set(param, req.query[param]);
+            }
+            // Citizens only ever see their own alerts, whatever they ask for.
+            if (req.identity.role === 'citizen') query.set('citizenId', req.identity.id);
+            const page = await dbService.request(`/alerts?${query}`);
+            res.json(page);
         } catch (error) {
+            if (error.status === 400) return res.status(400).json({ message: error.message });
             console.error('Error fetching alerts:', error);
             res.status(500).json({ message: 'Failed to retrieve alerts.' });
         }
     },
 
     async createAlert(req, res) {
-        const { citizenId, message, audioBase64, location } = req.body;
-        if (!citizenId || !location) {
-            return res.status(400).json({ message: 'Citizen ID and location are required.' });
+        // Files this request adds to the media store, removed again if the alert is not created.
+        const stored = [];
+        let report;
+        try {
+            report = await AlertsService._readAlertReport(req, stored);
+        } catch (error) {
+            await AlertsService._discardMedia(stored);
+            if (error.status) return res.status(error.status).json({ message: error.message, errors: error.errors });
+            console.error('Error reading alert report:', error);
+            return res.status(500).json({ message: 'Failed to create alert.' });
         }
+        const { message, location, audio, attachments } = report;
+        const citizenId = req.identity.id;
 
         const timestamp = Date.now();
         // Precision 4 is a grid of approx. 39km x 19.5km, matching client subscriptions.
@@ -98,25 +363,35 @@ const AlertsService = {
         try {
             // Step 1: Immediately create a preliminary record via the database service.
             const newAlertData = {
-                citizenId, message, audioBase64, geohash,
+                citizenId, message, geohash,
                 locationLat: location.lat, locationLng: location.lng,
+                ...(audio && { audioRef: audio.ref, audioContentType: audio.contentType, audioSize: audio.size }),
+                ...(attachments.length > 0 && { attachments }),
                 timestamp, status: 'new',
-                timeoutTimestamp: timestamp + (60 * 1000), // 60 second timeout
+                searchRadius: ESCALATION_RADII_KM[0],
+                escalationStage: 0,
+                timeoutTimestamp: timestamp + ESCALATION_STAGE_DURATION_MS,
+                // Publish the preliminary alert immediately so the citizen sees it.
+                events: [{ routingKey: `alert.created.${geohash}` }],
+                audit: [
+                    { type: 'created', actor: { id: citizenId, role: req.identity.role } },
+                    ...(attachments.length > 0
+                        ? [{ type: 'attachments_added', actor: { id: citizenId, role: req.identity.role }, details: { refs: attachments.map(a => a.ref) } }]
+                        : []),
+                ],
             };
             preliminaryAlert = await dbService.request('/alerts', { method: 'POST', body: JSON.stringify(newAlertData) });
+            OutboxRelay.kick();
 
             // Step 2: Send the immediate response to the client.
             res.status(201).json(preliminaryAlert);
 
-            // Publish the preliminary alert immediately so the citizen sees it.
-            try {
-                publish(`alert.created.${geohash}`, JSON.stringify(preliminaryAlert));
-            } catch(e) { console.error(`[Alerts] MQ publish failed for preliminary alert #${preliminaryAlert.id}`, e); }
-
         } catch (dbError) {
             console.error('Error creating preliminary alert:', dbError);
             // Don't send a response if one has already been sent
             if (!res.headersSent) {
+                // Only an error response means the alert was not stored; without a response, it may have been.
+                if (dbError.status) await AlertsService._discardMedia(stored);
                 return res.status(500).json({ message: 'Failed to create alert.' });
             }
             return;
@@ -129,7 +404,13 @@ const AlertsService = {
             // 3a. AI Analysis
             let category = 'Law & Order'; // Default category
             try {
-                const aiResponse = await fetch(`${AI_ANALYSIS_SERVICE_URL}/analyze`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ message, audioBase64 }), timeout: INTER_SERVICE_TIMEOUT_MS });
+                const analysisRequest = { message };
+                // The recording is only needed when there is no text to analyse.
+                if (!message && audio) {
+                    analysisRequest.audioBase64 = (await MediaStore.read(audio.ref)).toString('base64');
+                    analysisRequest.audioMimeType = audio.contentType;
+                }
+                const aiResponse = await fetch(`${AI_ANALYSIS_SERVICE_URL}/analyze`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(analysisRequest), timeout: INTER_SERVICE_TIMEOUT_MS });
                 if (aiResponse.ok) {
                     const aiResult = await aiResponse.json();
                     category = aiResult.category;
@@ -141,29 +422,45 @@ const AlertsService = {
                 console.error(`[Alerts] Error calling AI service for alert #${alertId}:`, aiError);
             }
 
-            // 3b. Find Nearby Responders
-            let targetedOfficers = [];
+            // 3b. Target the closest responders for each unit the category needs, within the first
+            // escalation stage's radius.
+            let units = await AlertsService._planUnits(category);
+            let targetedResponders = [];
             try {
-                const locationResponse = await fetch(`${LOCATION_SERVICE_URL}/find-nearby`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ location, category }), timeout: INTER_SERVICE_TIMEOUT_MS });
-                if (locationResponse.ok) targetedOfficers = (await locationResponse.json()).responderIds || [];
-                else console.warn(`[Alerts] Location service call for alert #${alertId} failed with status ${locationResponse.status}.`);
+                ({ units, newlyTargeted: targetedResponders } = await AlertsService._targetUnits(location, units, 0, ESCALATION_RADII_KM[0]));
             } catch (locationError) {
                 console.error(`[Alerts] Error calling Location service for alert #${alertId}:`, locationError);
             }
+            const targetedOfficers = [...new Set(targetedResponders.map(responder => responder.id))];
 
-            // 3c. Update the alert record with the new info via the database service.
-            const fullAlert = await dbService.request(`/alerts/${alertId}`, { method: 'PUT', body: JSON.stringify({ category, targetedOfficers: JSON.stringify(targetedOfficers) }) });
+            // 3c. Update the alert record with the new info via the database service, recording
+            // the push notification and WebSocket events in the same transaction. The first
+            // escalation stage starts now that responders have been targeted.
+            const targetedAt = Date.now();
+            const fullAlert = await dbService.request(`/alerts/${alertId}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    category,
+                    targetedOfficers,
+                    units,
+                    timeoutTimestamp: targetedAt + ESCALATION_STAGE_DURATION_MS,
+                    escalationHistory: [
+                        { action: 'targeted', stage: 0, radiusKm: ESCALATION_RADII_KM[0], timestamp: targetedAt, newlyTargeted: targetedOfficers },
+                    ],
+                    events: [
+                        { routingKey: 'alert.created', payload: { targetedOfficers, targetedResponders: AlertsService._responderRefs(targetedResponders) }, embedAlertAs: 'alert' },
+                        { routingKey: `alert.updated.${geohash}` },
+                    ],
+                    audit: [
+                        { type: 'categorized', actor: SYSTEM_ACTOR, details: { category } },
+                        { type: 'targeted', actor: SYSTEM_ACTOR, details: { stage: 0, radiusKm: ESCALATION_RADII_KM[0], responders: targetedOfficers } },
+                    ],
+                }),
+            });
 
-            // 3d. Publish events to the message queue.
+            // 3d. Deliver the recorded events.
             if (fullAlert) {
-                // Publish for push notifications
-                try {
-                     publish('alert.created', JSON.stringify({ targetedOfficers, alert: fullAlert }));
-                } catch(e) { console.error(`[Alerts] MQ publish failed for push notification on alert #${alertId}`, e); }
-                // Publish for WebSocket clients
-                try {
-                    publish(`alert.updated.${geohash}`, JSON.stringify(fullAlert));
-                } catch(e) { console.error(`[Alerts] MQ publish failed for WS update on alert #${alertId}`, e); }
+                OutboxRelay.kick();
                 console.log(`[Alerts] Background processing for alert #${alertId} complete.`);
             }
 
@@ -173,20 +470,15 @@ const AlertsService = {
     },
 
     async acceptAlert(req, res) {
-        const { id } = req.params;
-        const { officerId } = req.body;
-        if (!officerId) {
-            return res.status(400).json({ message: 'Officer ID is required.' });
-        }
-        await AlertsService._updateAlertStatus(res, id, 'accepted', { acceptedBy: officerId });
+        await AlertsService._updateAlertStatus(req, res, req.params.id, 'accept', alert => AlertsService._planAcceptance(alert, req.identity));
     },
 
     async resolveAlert(req, res) {
-        await AlertsService._updateAlertStatus(res, req.params.id, 'resolved');
+        await AlertsService._updateAlertStatus(req, res, req.params.id, 'resolve', alert => AlertsService._planTransition(alert, 'resolved'));
     },
 
     async cancelAlert(req, res) {
-        await AlertsService._updateAlertStatus(res, req.params.id, 'canceled');
+        await AlertsService._updateAlertStatus(req, res, req.params.id, 'cancel', alert => AlertsService._planTransition(alert, 'canceled'));
     },
 
     async deleteAlert(req, res) {
@@ -194,40 +486,692 @@ const AlertsService = {
             const alertToDelete = await dbService.request(`/alerts/${req.params.id}`);
             if (!alertToDelete) return res.status(404).send();
 
-            await dbService.request(`/alerts/${req.params.id}`, { method: 'DELETE' });
-
-            if(alertToDelete.geohash) {
-                try {
-                    publish(`alert.deleted.${alertToDelete.geohash}`, JSON.stringify({ id: parseInt(req.params.id) }));
-                } catch(e) { console.error(`[Alerts] MQ publish failed for delete on alert #${req.params.id}`, e); }
+            const decision = authorize('delete', req.identity, alertToDelete);
+            if (!decision.allowed) {
+                return res.status(403).json({ message: decision.reason });
             }
+
+            const events = alertToDelete.geohash
+                ? [{ routingKey: `alert.deleted.${alertToDelete.geohash}`, payload: { id: parseInt(req.params.id), citizenId: alertToDelete.citizenId, location: alertToDelete.location } }]
+                : [];
+            const audit = [{ type: 'deleted', actor: { id: req.identity.id, role: req.identity.role } }];
+            await dbService.request(`/alerts/${req.params.id}`, { method: 'DELETE', body: JSON.stringify({ events, audit }) });
+            OutboxRelay.kick();
+            await AlertsService._updateAvailability('delete', alertToDelete, req.identity);
             res.status(204).send();
         } catch (error) {
+            if (error.status === 404) return res.status(404).send();
             console.error('Error deleting alert:', error);
             res.status(500).json({ message: 'Failed to delete alert.' });
         }
     },
 
-    async _updateAlertStatus(res, alertId, newStatus, extraData = {}) {
+    async getDispatchPlans(req, res) {
+        try {
+            res.json(toPlans(await dbService.request('/category-responder-types')));
+        } catch (error) {
+            console.error('Error fetching dispatch plans:', error);
+            res.status(500).json({ message: 'Failed to fetch dispatch plans.' });
+        }
+    },
+
+    /**
+     * Replaces the units dispatched to new alerts of a category. Alerts already raised keep their units.
+     */
+    async updateDispatchPlan(req, res) {
+        const decision = authorize('manageDispatch', req.identity);
+        if (!decision.allowed) {
+            return res.status(403).json({ message: decision.reason });
+        }
+        const { errors } = validate(schemas.dispatchPlan, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid dispatch plan.', errors });
+        }
+        const { category } = req.params;
+        try {
+            const rows = await dbService.request(`/category-responder-types/${encodeURIComponent(category)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ units: req.body.units }),
+            });
+            console.log(`[Alerts] ${req.identity.role} ${req.identity.id} updated the dispatch plan for '${category}'.`);
+            res.json({ category, units: toPlans(rows)[category] || [] });
+        } catch (error) {
+            if (error.status === 400) return res.status(400).json({ message: error.message });
+            console.error('Error updating dispatch plan:', error);
+            res.status(500).json({ message: 'Failed to update dispatch plan.' });
+        }
+    },
+
+    async getAlertAudio(req, res) {
         try {
-            const fieldsToUpdate = { status: newStatus, ...extraData };
-            const updatedAlert = await dbService.request(`/alerts/${alertId}`, { method: 'PUT', body: JSON.stringify(fieldsToUpdate) });
+            const alert = await dbService.request(`/alerts/${req.params.id}`);
+            if (!alert) return res.status(404).json({ message: 'Alert not found.' });
 
-            if (!updatedAlert) {
-                return res.status(404).json({ message: 'Alert not found.' });
+            const decision = authorize('viewMedia', req.identity, alert);
+            if (!decision.allowed) {
+                return res.status(403).json({ message: decision.reason });
             }
+            if (!alert.audioRef) return res.status(404).json({ message: 'This alert has no audio.' });
+
+            await AlertsService._sendMedia(req, res, alert, alert.audioRef, alert.audioContentType);
+        } catch (error) {
+            console.error('Error fetching alert audio:', error);
+            res.status(500).json({ message: 'Failed to retrieve alert audio.' });
+        }
+    },
+
+    /**
+     * Adds photos and videos, uploaded as multipart/form-data `attachments` files, to an open alert.
+     * Responders watching the alert's area receive the updated alert right away.
+     */
+    async addAttachments(req, res) {
+        const alertId = req.params.id;
+        // Files this request adds to the media store, removed again if they are not attached.
+        const stored = [];
+        let alert;
+        let added;
+        try {
+            alert = await dbService.request(`/alerts/${alertId}`);
+            const refusal = AlertsService._refuseAttachments(req.identity, alert);
+            if (refusal) return res.status(refusal.status).json(refusal.body);
+            if (!req.is('multipart/form-data')) {
+                return res.status(400).json({ message: 'Attachments must be uploaded as multipart/form-data.' });
+            }
+
+            const remaining = MAX_ATTACHMENTS_PER_ALERT - alert.attachments.length;
+            if (remaining <= 0) {
+                return res.status(400).json({ message: `An alert can have at most ${MAX_ATTACHMENTS_PER_ALERT} attachments.` });
+            }
+            const { attachments: uploads } = await AlertsService._readMultipart(req, { maxAttachments: remaining, stored });
+            if (uploads.length === 0) return res.status(400).json({ message: 'No attachments were uploaded.' });
+            added = await AlertsService._describeAttachments(uploads, req.identity, stored);
+        } catch (error) {
+            await AlertsService._discardMedia(stored);
+            if (error.status === 404) return res.status(404).json({ message: 'Alert not found.' });
+            if (error.status) return res.status(error.status).json({ message: error.message });
+            console.error('Error reading alert attachments:', error);
+            return res.status(500).json({ message: 'Failed to add attachments.' });
+        }
+
+        // Cleared once the files are attached, or when it is unknown whether they were.
+        let discard = true;
+        try {
+            for (let attempt = 1; ; attempt++) {
+                // The same file uploaded twice is only attached once.
+                const known = new Set(alert.attachments.map(attachment => attachment.ref));
+                const newAttachments = added.filter(attachment => !known.has(attachment.ref));
+                if (newAttachments.length === 0) {
+                    discard = false;
+                    return res.json(alert);
+                }
+                const attachments = [...alert.attachments, ...newAttachments];
+                if (attachments.length > MAX_ATTACHMENTS_PER_ALERT) {
+                    return res.status(400).json({ message: `An alert can have at most ${MAX_ATTACHMENTS_PER_ALERT} attachments.` });
+                }
 
-            if (updatedAlert.geohash) {
                 try {
-                    publish(`alert.updated.${updatedAlert.geohash}`, JSON.stringify(updatedAlert));
-                } catch(e) { console.error(`[Alerts] MQ publish failed for status update on alert #${alertId}`, e); }
+                    const updatedAlert = await dbService.request(`/alerts/${alertId}`, {
+                        method: 'PUT',
+                        body: JSON.stringify({
+                            attachments,
+                            expectedVersion: alert.version,
+                            events: alert.geohash ? [{ routingKey: `alert.updated.${alert.geohash}` }] : [],
+                            audit: [{ type: 'attachments_added', actor: { id: req.identity.id, role: req.identity.role }, details: { refs: newAttachments.map(a => a.ref) } }],
+                        }),
+                    });
+                    discard = false;
+                    OutboxRelay.kick();
+                    return res.status(201).json(updatedAlert);
+                } catch (error) {
+                    if (!error.status) discard = false;
+                    if (error.status === 404) return res.status(404).json({ message: 'Alert not found.' });
+                    if (error.status !== 409) throw error;
+                    if (attempt >= MAX_UPDATE_ATTEMPTS) {
+                        return res.status(409).json(AlertsService._conflictResponse('The alert is being updated by someone else. Please try again.', error.data.alert));
+                    }
+                }
+
+                // The alert changed since it was checked, e.g. it was accepted or canceled; check it again.
+                alert = await dbService.request(`/alerts/${alertId}`);
+                const refusal = AlertsService._refuseAttachments(req.identity, alert);
+                if (refusal) return res.status(refusal.status).json(refusal.body);
+            }
+        } catch (error) {
+            console.error(`Error adding attachments to alert #${alertId}:`, error);
+            res.status(500).json({ message: 'Failed to add attachments.' });
+        } finally {
+            if (discard) await AlertsService._discardMedia(stored);
+        }
+    },
+
+    async getAttachment(req, res) {
+        await AlertsService._getAttachmentMedia(req, res, false);
+    },
+
+    async getAttachmentThumbnail(req, res) {
+        await AlertsService._getAttachmentMedia(req, res, true);
+    },
+
+    async _getAttachmentMedia(req, res, thumbnail) {
+        try {
+            const alert = await dbService.request(`/alerts/${req.params.id}`);
+            if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+
+            const decision = authorize('viewMedia', req.identity, alert);
+            if (!decision.allowed) {
+                return res.status(403).json({ message: decision.reason });
             }
-            res.json(updatedAlert);
+
+            const attachment = alert.attachments.find(a => a.ref === req.params.ref);
+            if (!attachment) return res.status(404).json({ message: 'Attachment not found.' });
+            if (!thumbnail) {
+                return await AlertsService._sendMedia(req, res, alert, attachment.ref, attachment.contentType);
+            }
+            if (!attachment.thumbnailRef) return res.status(404).json({ message: 'This attachment has no thumbnail.' });
+            await AlertsService._sendMedia(req, res, alert, attachment.thumbnailRef, THUMBNAIL_CONTENT_TYPE);
         } catch (error) {
-            console.error(`Error updating alert to ${newStatus}:`, error);
+            console.error('Error fetching alert attachment:', error);
+            res.status(500).json({ message: 'Failed to retrieve attachment.' });
+        }
+    },
+
+    /**
+     * Streams a file from the media store. Supports a single `Range` so that players can seek, and
+     * `If-None-Match`, since stored media never changes.
+     */
+    async _sendMedia(req, res, alert, ref, contentType) {
+        const stat = await MediaStore.stat(ref);
+        if (!stat) {
+            console.error(`[Alerts] Media ${ref} of alert #${alert.id} is missing from the media store.`);
+            return res.status(404).json({ message: 'Media not found.' });
+        }
+
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': contentType,
+            'ETag': `"${ref}"`,
+            'Cache-Control': 'private, max-age=31536000, immutable',
+        });
+        if (req.fresh) return res.status(304).end();
+
+        let start = 0;
+        let end = stat.size - 1;
+        const ranges = req.headers.range ? req.range(stat.size, { combine: true }) : null;
+        if (ranges === -1) {
+            return res.status(416).set('Content-Range', `bytes */${stat.size}`).end();
+        }
+        // Malformed or multiple ranges are answered with the whole file.
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        }
+        res.set('Content-Length', String(end - start + 1));
+        if (req.method === 'HEAD' || stat.size === 0) return res.end();
+
+        const stream = MediaStore.createReadStream(ref, { start, end });
+        stream.on('error', (error) => {
+            console.error(`[Alerts] Error streaming media ${ref} of alert #${alert.id}:`, error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    },
+
+    /**
+     * Returns the response to send when attachments cannot be added to an alert, or null if they can.
+     */
+    _refuseAttachments(identity, alert) {
+        if (!alert) return { status: 404, body: { message: 'Alert not found.' } };
+        const decision = authorize('attach', identity, alert);
+        if (!decision.allowed) return { status: 403, body: { message: decision.reason } };
+        if (isFinal(alert.status)) {
+            return { status: 409, body: AlertsService._conflictResponse(`Attachments cannot be added to an alert that is ${alert.status.replace('_', ' ')}.`, alert) };
+        }
+        return null;
+    },
+
+    /**
+     * Checks that uploaded attachments really are images or videos of an accepted format, and
+     * builds the attachment records stored with the alert. Images also get a thumbnail.
+     * @param {Array<{ ref: string, size: number, contentType: string }>} uploads - Files already in the media store.
+     * @param {object[]} stored - Collects the thumbnails added to the media store.
+     */
+    async _describeAttachments(uploads, identity, stored) {
+        const uploadedAt = Date.now();
+        const attachments = [];
+        for (const { ref, size, contentType } of uploads) {
+            const attachment = { ref, kind: ATTACHMENT_TYPES[contentType], contentType, size, uploadedBy: identity.id, uploadedAt };
+            if (attachment.kind === 'image') {
+                Object.assign(attachment, await AlertsService._processImage(ref, stored));
+            } else if (!(await AlertsService._isVideo(ref, contentType))) {
+                throw httpError(400, `An attachment is not a valid ${contentType} video.`);
+            }
+            attachments.push(attachment);
+        }
+        return attachments;
+    },
+
+    /**
+     * Decodes an uploaded image and stores a thumbnail of it.
+     * @returns {Promise<{ contentType: string, width: number, height: number, thumbnailRef: string }>}
+     */
+    async _processImage(ref, stored) {
+        let metadata;
+        let thumbnail;
+        try {
+            const image = sharp(await MediaStore.read(ref));
+            metadata = await image.metadata();
+            if (!IMAGE_FORMATS.includes(metadata.format)) throw new Error(`Unsupported image format '${metadata.format}'.`);
+            // rotate() applies the EXIF orientation, so thumbnails are upright.
+            thumbnail = await image.rotate()
+                .resize(THUMBNAIL_SIZE_PX, THUMBNAIL_SIZE_PX, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+        } catch (error) {
+            throw httpError(400, `An attachment is not a valid image: ${error.message}`);
+        }
+        const { ref: thumbnailRef } = await AlertsService._storeMedia(thumbnail, {}, stored);
+        // EXIF orientations 5 to 8 turn the image by 90 degrees.
+        const turned = metadata.orientation >= 5;
+        return {
+            contentType: `image/${metadata.format}`,
+            width: turned ? metadata.height : metadata.width,
+            height: turned ? metadata.width : metadata.height,
+            thumbnailRef,
+        };
+    },
+
+    /**
+     * Checks the container signature of an uploaded video: MP4 and QuickTime files start with an
+     * `ftyp` box, WebM files with an EBML header.
+     */
+    async _isVideo(ref, contentType) {
+        const chunks = [];
+        for await (const chunk of MediaStore.createReadStream(ref, { start: 0, end: 11 })) chunks.push(chunk);
+        const header = Buffer.concat(chunks);
+        if (contentType === 'video/webm') return header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3;
+        return header.length >= 8 && header.toString('latin1', 4, 8) === 'ftyp';
+    },
+
+    async getAlertHistory(req, res) {
+        try {
+            // Deleted alerts keep their history, which is what after-action reviews need most.
+            const alert = await dbService.request(`/alerts/${req.params.id}?includeDeleted=true`);
+            if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+
+            const decision = authorize('viewHistory', req.identity, alert);
+            if (!decision.allowed) {
+                return res.status(403).json({ message: decision.reason });
+            }
+
+            const history = await dbService.request(`/alerts/${req.params.id}/history`);
+            res.json({ alertId: alert.id, status: alert.status, deletedAt: alert.deletedAt, history });
+        } catch (error) {
+            console.error('Error fetching alert history:', error);
+            res.status(500).json({ message: 'Failed to retrieve alert history.' });
+        }
+    },
+
+    /**
+     * Returns an alert's chat, oldest message first. `after` skips messages up to that id, for
+     * clients catching up on what they missed.
+     */
+    async getMessages(req, res) {
+        try {
+            const alert = await dbService.request(`/alerts/${req.params.id}`);
+            if (!alert) return res.status(404).json({ message: 'Alert not found.' });
+
+            const decision = authorize('viewMessages', req.identity, alert);
+            if (!decision.allowed) {
+                return res.status(403).json({ message: decision.reason });
+            }
+
+            const params = new URLSearchParams();
+            if (req.query.after) params.set('after', req.query.after);
+            if (req.query.limit) params.set('limit', req.query.limit);
+            const { messages, reads } = await dbService.request(`/alerts/${alert.id}/messages?${params}`);
+            res.json({ alertId: alert.id, locked: isFinal(alert.status), messages, reads });
+        } catch (error) {
+            console.error('Error fetching alert messages:', error);
+            res.status(500).json({ message: 'Failed to retrieve messages.' });
+        }
+    },
+
+    async sendMessage(req, res) {
+        const { errors } = validate(schemas.alert.message, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid message.', errors });
+        }
+        try {
+            const alert = await dbService.request(`/alerts/${req.params.id}`);
+            const refusal = AlertsService._refuseChat(req.identity, alert);
+            if (refusal) return res.status(refusal.status).json(refusal.body);
+
+            const message = await dbService.request(`/alerts/${alert.id}/messages`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    senderId: req.identity.id,
+                    senderRole: req.identity.role,
+                    body: req.body.body,
+                    events: [{
+                        routingKey: `alert.message.${alert.id}`,
+                        payload: { participants: await AlertsService._chatParticipants(alert) },
+                        embedAlertAs: 'message',
+                    }],
+                }),
+            });
+            OutboxRelay.kick();
+            res.status(201).json(message);
+        } catch (error) {
+            // The alert was closed after it was checked.
+            if (error.status === 409) return res.status(409).json({ message: error.message });
+            console.error(`Error sending a message on alert #${req.params.id}:`, error);
+            res.status(500).json({ message: 'Failed to send message.' });
+        }
+    },
+
+    /**
+     * Records that the caller read an alert's messages up to and including `messageId`.
+     */
+    async markMessagesRead(req, res) {
+        const { errors } = validate(schemas.alert.messageRead, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid read receipt.', errors });
+        }
+        try {
+            const alert = await dbService.request(`/alerts/${req.params.id}`);
+            const refusal = AlertsService._refuseChat(req.identity, alert);
+            if (refusal) return res.status(refusal.status).json(refusal.body);
+
+            const receipt = await dbService.request(`/alerts/${alert.id}/messages/read`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    readerId: req.identity.id,
+                    readerRole: req.identity.role,
+                    messageId: req.body.messageId,
+                    events: [{
+                        routingKey: `alert.message_read.${alert.id}`,
+                        payload: { participants: await AlertsService._chatParticipants(alert) },
+                        embedAlertAs: 'receipt',
+                    }],
+                }),
+            });
+            OutboxRelay.kick();
+            res.json(receipt);
+        } catch (error) {
+            if (error.status === 404) return res.status(404).json({ message: error.message });
+            console.error(`Error marking messages of alert #${req.params.id} read:`, error);
+            res.status(500).json({ message: 'Failed to mark messages read.' });
+        }
+    },
+
+    /**
+     * Returns the response to send when the caller cannot write to an alert's chat, or null if they can.
+     * Once an alert is resolved or canceled, its chat is kept but locked.
+     */
+    _refuseChat(identity, alert) {
+        if (!alert) return { status: 404, body: { message: 'Alert not found.' } };
+        const decision = authorize('chat', identity, alert);
+        if (!decision.allowed) return { status: 403, body: { message: decision.reason } };
+        if (isFinal(alert.status)) {
+            return { status: 409, body: { message: `This alert is ${alert.status.replace('_', ' ')}, so its chat is closed.` } };
+        }
+        return null;
+    },
+
+    /**
+     * Who takes part in an alert's chat: the citizen who raised it and the responders who accepted it.
+     * @returns {{ citizenId: string, responders: Array<{ type: string, id: string }> }}
+     */
+    async _chatParticipants(alert) {
+        const responders = await acceptedResponders(alert, id => dbService.request(`/responders/accounts?id=${encodeURIComponent(id)}`));
+        return { citizenId: alert.citizenId, responders };
+    },
+
+    /**
+     * Reads a citizen's alert report, sent either as JSON or as multipart/form-data with `message`
+     * and `location` (a JSON string) fields, an `audio` file and `attachments` files. Uploaded files
+     * are streamed straight into the media store, as is inline base64 audio from older clients.
+     * Every file added to the media store is collected in `stored`, including when reading fails.
+     * @returns {Promise<{ message?: string, location: { lat: number, lng: number }, audio: { ref: string, size: number, contentType: string }|null, attachments: object[] }>}
+     */
+    async _readAlertReport(req, stored) {
+        let body = req.body || {};
+        let audio = null;
+        let uploads = [];
+        if (req.is('multipart/form-data')) {
+            ({ fields: body, audio, attachments: uploads } = await AlertsService._readMultipart(req, { allowAudio: true, maxAttachments: MAX_ATTACHMENTS_PER_ALERT, stored }));
+            try {
+                if (typeof body.location === 'string') body.location = JSON.parse(body.location);
+            } catch (e) {
+                // Left as a string, so that validation reports it.
+            }
+        }
+
+        const { errors } = validate(schemas.alert.report, body);
+        if (errors.length > 0) {
+            const error = httpError(400, 'Invalid alert.');
+            error.errors = errors;
+            throw error;
+        }
+        if (body.audioBase64) {
+            const { ref, size } = await AlertsService._storeMedia(Buffer.from(body.audioBase64, 'base64'), { maxBytes: MAX_AUDIO_BYTES }, stored);
+            audio = { ref, size, contentType: LEGACY_AUDIO_CONTENT_TYPE };
+        }
+        const attachments = await AlertsService._describeAttachments(uploads, req.identity, stored);
+        return { message: body.message, location: body.location, audio, attachments };
+    },
+
+    /**
+     * Adds content to the media store, and records the upload in `stored` so that a request that
+     * fails can remove it again with `_discardMedia`.
+     */
+    async _storeMedia(source, options, stored) {
+        const upload = await MediaStore.put(source, options);
+        stored.push(upload);
+        return upload;
+    },
+
+    /**
+     * Removes the files a failed request added to the media store. Files whose content was
+     * already stored before the request may belong to other alerts, and are kept.
+     */
+    async _discardMedia(stored) {
+        for (const { ref, created } of stored) {
+            if (!created) continue;
+            try {
+                await MediaStore.remove(ref);
+            } catch (error) {
+                console.error(`Error removing media ${ref}:`, error);
+            }
+        }
+    },
+
+    /**
+     * Reads a multipart/form-data request, streaming its files into the media store. Photos and
+     * videos are accepted as `attachments` files and, with `allowAudio`, one recording as the `audio` file.
+     * Settles only once every upload has finished, so that `stored` lists all the files stored.
+     * @param {{ allowAudio?: boolean, maxAttachments: number, stored: object[] }} options
+     * @returns {Promise<{ fields: object, audio: object|null, attachments: Array<{ ref: string, size: number, contentType: string }> }>}
+     */
+    _readMultipart(req, { allowAudio = false, maxAttachments, stored }) {
+        return new Promise((resolve, reject) => {
+            let parser;
+            try {
+                parser = busboy({ headers: req.headers, limits: { files: maxAttachments + (allowAudio ? 1 : 0), fields: 10, fieldSize: 64 * 1024 } });
+            } catch (error) {
+                return reject(httpError(400, error.message));
+            }
+
+            const fields = {};
+            let audio = Promise.resolve(null);
+            let hasAudio = false;
+            const attachments = [];
+            // The first problem found; reported once the whole request has been read.
+            let failure = null;
+            const refuse = (file, message) => {
+                file.resume();
+                failure = failure || httpError(400, message);
+            };
+
+            parser.on('field', (name, value) => { fields[name] = value; });
+            parser.on('file', (name, file, { mimeType }) => {
+                if (name === 'audio' && allowAudio) {
+                    if (hasAudio) return refuse(file, 'Only one audio recording can be uploaded.');
+                    if (!mimeType.startsWith('audio/')) return refuse(file, 'The "audio" file must be an audio recording.');
+                    hasAudio = true;
+                    audio = AlertsService._storeMedia(file, { maxBytes: MAX_AUDIO_BYTES }, stored)
+                        .then(({ ref, size }) => ({ ref, size, contentType: mimeType }));
+                    audio.catch(() => {});
+                } else if (name === 'attachments') {
+                    const kind = ATTACHMENT_TYPES[mimeType];
+                    if (!kind) return refuse(file, `Unsupported attachment type '${mimeType}'. Allowed types: ${Object.keys(ATTACHMENT_TYPES).join(', ')}.`);
+                    if (attachments.length >= maxAttachments) return refuse(file, `At most ${maxAttachments} attachments can be added.`);
+                    const upload = AlertsService._storeMedia(file, { maxBytes: kind === 'image' ? MAX_IMAGE_BYTES : MAX_VIDEO_BYTES }, stored)
+                        .then(({ ref, size }) => ({ ref, size, contentType: mimeType }));
+                    upload.catch(() => {});
+                    attachments.push(upload);
+                } else {
+                    refuse(file, allowAudio
+                        ? 'Upload an audio recording as the "audio" file and photos or videos as "attachments" files.'
+                        : 'Upload photos or videos as "attachments" files.');
+                }
+            });
+            parser.on('filesLimit', () => {
+                failure = failure || httpError(400, `At most ${maxAttachments} attachments can be added.`);
+            });
+            const uploadsSettled = () => Promise.allSettled([audio, ...attachments]);
+            parser.on('close', () => {
+                uploadsSettled().then(([audioResult, ...attachmentResults]) => {
+                    const rejected = [audioResult, ...attachmentResults].find(result => result.status === 'rejected');
+                    if (failure) return reject(failure);
+                    if (rejected) return reject(rejected.reason);
+                    resolve({ fields, audio: audioResult.value, attachments: attachmentResults.map(result => result.value) });
+                });
+            });
+            parser.on('error', error => uploadsSettled().then(() => reject(httpError(400, error.message))));
+            req.pipe(parser);
+        });
+    },
+
+    /**
+     * Applies a lifecycle action to an alert after checking the caller is allowed to perform it and
+     * that the alert's current state allows it. `planChange(alert)` returns the change to make,
+     * `{ fields, audit: { type, details? } }`, or `{ reason }` if the alert's state does not allow it.
+     * The update only applies to the version of the alert that was checked; if it changed in the
+     * meantime, the checks are repeated on the new state.
+     */
+    async _updateAlertStatus(req, res, alertId, action, planChange) {
+        try {
+            for (let attempt = 1; ; attempt++) {
+                const currentAlert = await dbService.request(`/alerts/${alertId}`);
+                if (!currentAlert) {
+                    return res.status(404).json({ message: 'Alert not found.' });
+                }
+
+                const decision = authorize(action, req.identity, currentAlert);
+                if (!decision.allowed) {
+                    console.warn(`[Alerts] Denied ${action} on alert #${alertId} for ${req.identity.role} ${req.identity.id}: ${decision.reason}`);
+                    return res.status(403).json({ message: decision.reason });
+                }
+
+                const change = planChange(currentAlert);
+                if (change.reason) {
+                    return res.status(409).json(AlertsService._conflictResponse(change.reason, currentAlert));
+                }
+
+                const fieldsToUpdate = {
+                    ...change.fields,
+                    expectedVersion: currentAlert.version,
+                    audit: [{ ...change.audit, actor: { id: req.identity.id, role: req.identity.role } }],
+                };
+                if (currentAlert.geohash) {
+                    fieldsToUpdate.events = [{ routingKey: `alert.updated.${currentAlert.geohash}` }];
+                }
+                try {
+                    const updatedAlert = await dbService.request(`/alerts/${alertId}`, { method: 'PUT', body: JSON.stringify(fieldsToUpdate) });
+                    OutboxRelay.kick();
+                    await AlertsService._updateAvailability(action, updatedAlert, req.identity);
+                    return res.json(updatedAlert);
+                } catch (error) {
+                    if (error.status === 404) return res.status(404).json({ message: 'Alert not found.' });
+                    if (error.status !== 409) throw error;
+                    if (attempt >= MAX_UPDATE_ATTEMPTS) {
+                        return res.status(409).json(AlertsService._conflictResponse('The alert is being updated by someone else. Please try again.', error.data.alert));
+                    }
+                    console.log(`[Alerts] Alert #${alertId} changed during ${action}, re-evaluating.`);
+                }
+            }
+        } catch (error) {
+            console.error(`Error applying ${action} to alert:`, error);
             res.status(500).json({ message: 'Failed to update alert status.' });
         }
     },
+
+    /**
+     * Keeps responders' availability in step with the alerts they handle: accepting an alert makes a
+     * responder `en_route` to it, and once it is resolved, canceled or deleted, everyone still
+     * handling it is `available` again. The alert has already changed, so a failure is only logged.
+     */
+    async _updateAvailability(action, alert, identity) {
+        try {
+            if (action === 'accept') {
+                await dbService.request(`/responders/${identity.role}/${encodeURIComponent(identity.id)}/availability`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ availability: 'en_route', alertId: alert.id }),
+                });
+            } else if (['resolve', 'cancel', 'delete'].includes(action)) {
+                const { releasedCount } = await dbService.request('/responders/release', { method: 'POST', body: JSON.stringify({ alertId: alert.id }) });
+                if (releasedCount > 0) console.log(`[Alerts] ${releasedCount} responders released from alert #${alert.id}.`);
+            }
+        } catch (error) {
+            console.error(`[Alerts] Could not update responder availability after ${action} on alert #${alert.id}:`, error.message);
+        }
+    },
+
+    _planTransition(alert, newStatus) {
+        const transition = checkTransition(alert.status, newStatus);
+        if (!transition.allowed) return { reason: transition.reason };
+        return { fields: { status: newStatus }, audit: { type: newStatus } };
+    },
+
+    /**
+     * Plans a responder's acceptance. The first acceptance moves the alert to `accepted`; more
+     * responders can then accept it until their unit has as many as it needs.
+     */
+    _planAcceptance(alert, identity) {
+        // Alerts raised before units were requested are accepted by a single responder.
+        if (alert.units.length === 0) {
+            const change = AlertsService._planTransition(alert, 'accepted');
+            if (change.fields) change.fields.acceptedBy = identity.id;
+            return change;
+        }
+
+        // The accept policy only lets responders of a requested type through.
+        const unit = alert.units.find(u => u.type === identity.role);
+        if (alert.status !== 'accepted') {
+            const transition = checkTransition(alert.status, 'accepted');
+            if (!transition.allowed) return { reason: transition.reason };
+        }
+        if (unit.acceptedBy.includes(identity.id)) return { reason: 'You have already accepted this alert.' };
+        if (!isOpen(unit)) return { reason: `This alert already has all the ${unit.type} units it needs.` };
+
+        const fields = { units: alert.units.map(u => (u === unit ? { ...u, acceptedBy: [...u.acceptedBy, identity.id] } : u)) };
+        if (alert.status === 'new') Object.assign(fields, { status: 'accepted', acceptedBy: identity.id });
+        return { fields, audit: { type: 'accepted', details: { unit: unit.type } } };
+    },
+
+    /**
+     * Body of a 409 response, telling the caller the alert's current state and who holds it.
+     */
+    _conflictResponse(message, alert) {
+        return {
+            message,
+            alert: {
+                id: alert.id, status: alert.status, acceptedBy: alert.acceptedBy, version: alert.version,
+                units: (alert.units || []).map(({ type, count, acceptedBy }) => ({ type, count, acceptedBy })),
+            },
+        };
+    },
 };
 
 AlertsService.initialize();
\ No newline at end of file
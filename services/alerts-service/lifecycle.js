@@ -0,0 +1,38 @@
+/**
+ * The alert state machine.
+ * An alert starts as `new` and can only move along the transitions below. `resolved`,
+ * `canceled` and `timed_out` are final.
+ */
+
+const TRANSITIONS = {
+    new: ['accepted', 'canceled', 'timed_out'],
+    accepted: ['resolved', 'canceled'],
+    resolved: [],
+    canceled: [],
+    timed_out: [],
+};
+
+/**
+ * Checks whether an alert may move from one status to another.
+ * @param {string} from - The alert's current status.
+ * @param {string} to - The requested status.
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkTransition(from, to) {
+    const allowed = TRANSITIONS[from];
+    if (!allowed) return { allowed: false, reason: `Unknown alert status '${from}'.` };
+    if (from === to) return { allowed: false, reason: `The alert is already ${from.replace('_', ' ')}.` };
+    if (!allowed.includes(to)) {
+        return { allowed: false, reason: `An alert that is ${from.replace('_', ' ')} cannot become ${to.replace('_', ' ')}.` };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Checks whether a status is final, i.e. the alert is closed.
+ */
+function isFinal(status) {
+    return Array.isArray(TRANSITIONS[status]) && TRANSITIONS[status].length === 0;
+}
+
+module.exports = { TRANSITIONS, checkTransition, isFinal };
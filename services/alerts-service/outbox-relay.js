@@ -0,0 +1,79 @@
+const { publish } = require('../../shared/message-queue');
+
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 100;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Delivers events recorded in the Database Service's outbox to the message queue.
+ *
+ * Events are published strictly in the order they were recorded. Each one is marked as sent
+ * only after the broker confirms it; if publishing fails, the relay stops and retries from the
+ * same event on the next run. This gives at-least-once delivery, so consumers may occasionally
+ * see the same event twice.
+ */
+const OutboxRelay = {
+    dbService: null,
+    pollTimer: null,
+    purgeTimer: null,
+    draining: false,
+    drainRequested: false,
+
+    /**
+     * Starts polling the outbox.
+     * @param {{ request: Function }} dbService - The helper used to call the Database Service.
+     */
+    start(dbService) {
+        this.dbService = dbService;
+        this.pollTimer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+        this.purgeTimer = setInterval(() => this.purge(), PURGE_INTERVAL_MS);
+        console.log('[Outbox] Started outbox relay.');
+        this.kick();
+    },
+
+    /**
+     * Requests a drain of the outbox as soon as possible, e.g. right after an alert write.
+     */
+    kick() {
+        if (this.draining) {
+            this.drainRequested = true;
+            return;
+        }
+        this.drain().catch(error => console.error('[Outbox] Relay error:', error));
+    },
+
+    async drain() {
+        this.draining = true;
+        try {
+            do {
+                this.drainRequested = false;
+                const events = await this.dbService.request(`/outbox/pending?limit=${BATCH_SIZE}`);
+                for (const event of events) {
+                    try {
+                        await publish(event.routingKey, event.payload);
+                    } catch (error) {
+                        console.error(`[Outbox] Failed to publish event #${event.id} (${event.routingKey}); will retry:`, error.message);
+                        await this.dbService.request(`/outbox/${event.id}/failed`, { method: 'POST', body: JSON.stringify({ error: error.message }) });
+                        // Stop here so later events are not delivered ahead of this one.
+                        return;
+                    }
+                    await this.dbService.request(`/outbox/${event.id}/sent`, { method: 'POST' });
+                }
+                if (events.length === BATCH_SIZE) this.drainRequested = true;
+            } while (this.drainRequested);
+        } finally {
+            this.draining = false;
+        }
+    },
+
+    async purge() {
+        try {
+            const { purgedCount } = await this.dbService.request('/outbox/purge', { method: 'POST', body: JSON.stringify({}) });
+            if (purgedCount > 0) console.log(`[Outbox] Purged ${purgedCount} delivered events.`);
+        } catch (error) {
+            console.error('[Outbox] Failed to purge delivered events:', error);
+        }
+    },
+};
+
+module.exports = OutboxRelay;
@@ -0,0 +1,131 @@
+/**
+ * Authorization policies for the alert lifecycle.
+ * Each policy receives the caller's identity (as forwarded by the API Gateway) and the
+ * current alert, and returns `{ allowed: true }` or `{ allowed: false, reason }`.
+ */
+
+const { isResponderRole, legacyDepartmentOf } = require('../../shared/responders');
+
+const allow = () => ({ allowed: true });
+const deny = (reason) => ({ allowed: false, reason });
+
+const isResponder = (identity) => isResponderRole(identity.role);
+const isSupervisor = (identity) => isResponder(identity) && ['supervisor', 'admin'].includes(identity.accessLevel);
+// Badge and unit numbers are only unique within a responder type, so units are matched on both.
+const unitsOf = (identity, alert) => (Array.isArray(alert.units) ? alert.units.filter(unit => unit.type === identity.role) : []);
+// Whether the responder accepted the alert: for its unit or, on alerts without units, as the only responder.
+const hasAccepted = (identity, alert) => (Array.isArray(alert.units) && alert.units.length > 0
+    ? unitsOf(identity, alert).some(unit => unit.acceptedBy.includes(identity.id))
+    : alert.acceptedBy === identity.id);
+// Whether the responder was sent the alert: for its unit or, on alerts without units, as a targeted officer.
+const wasTargeted = (identity, alert) => (Array.isArray(alert.units) && alert.units.length > 0
+    ? unitsOf(identity, alert).some(unit => unit.targeted.some(responder => responder.id === identity.id))
+    : Array.isArray(alert.targetedOfficers) && alert.targetedOfficers.includes(identity.id));
+// Whether the alert needs responders like the caller: of its type or, on alerts without units, of its department.
+const isNeededBy = (identity, alert) => (Array.isArray(alert.units) && alert.units.length > 0
+    ? unitsOf(identity, alert).length > 0
+    : identity.department === legacyDepartmentOf(alert.category));
+
+const policies = {
+    cancel(identity, alert) {
+        if (identity.role !== 'citizen' || alert.citizenId !== identity.id) {
+            return deny('Only the citizen who raised this alert can cancel it.');
+        }
+        return allow();
+    },
+
+    accept(identity, alert) {
+        if (!isResponder(identity)) {
+            return deny('Only responders can accept alerts.');
+        }
+        if (Array.isArray(alert.units) && alert.units.length > 0) {
+            const units = unitsOf(identity, alert);
+            if (units.length === 0) {
+                return deny(`This alert does not need ${identity.role} units.`);
+            }
+            if (!units.some(unit => unit.targeted.some(responder => responder.id === identity.id))) {
+                return deny('You were not targeted for this alert.');
+            }
+            return allow();
+        }
+        const targeted = Array.isArray(alert.targetedOfficers) ? alert.targetedOfficers : [];
+        if (!targeted.includes(identity.id)) {
+            return deny('You were not targeted for this alert.');
+        }
+        const expectedDepartment = legacyDepartmentOf(alert.category);
+        if (identity.department !== expectedDepartment) {
+            return deny(`This alert must be accepted by the ${expectedDepartment} department.`);
+        }
+        return allow();
+    },
+
+    resolve(identity, alert) {
+        if (isResponder(identity) && hasAccepted(identity, alert)) return allow();
+        if (isSupervisor(identity)) return allow();
+        return deny('Only a responder who accepted this alert or a supervisor can resolve it.');
+    },
+
+    viewHistory(identity, alert) {
+        if (identity.role === 'citizen' && alert.citizenId === identity.id) return allow();
+        if (isResponder(identity) && hasAccepted(identity, alert)) return allow();
+        if (isSupervisor(identity)) return allow();
+        return deny('Only the citizen who raised this alert, a responder who accepted it or a supervisor can view its history.');
+    },
+
+    chat(identity, alert) {
+        if (identity.role === 'citizen' && alert.citizenId === identity.id) return allow();
+        if (isResponder(identity) && hasAccepted(identity, alert)) return allow();
+        return deny('Only the citizen who raised this alert and the responders who accepted it can send messages about it.');
+    },
+
+    // Supervisors can read a thread to follow an incident, but do not take part in it.
+    viewMessages(identity, alert) {
+        if (policies.chat(identity, alert).allowed) return allow();
+        if (isSupervisor(identity)) return allow();
+        return deny('Only the citizen who raised this alert, a responder who accepted it or a supervisor can read its messages.');
+    },
+
+    attach(identity, alert) {
+        if (identity.role !== 'citizen' || alert.citizenId !== identity.id) {
+            return deny('Only the citizen who raised this alert can add attachments to it.');
+        }
+        return allow();
+    },
+
+    viewMedia(identity, alert) {
+        if (identity.role === 'citizen' && alert.citizenId === identity.id) return allow();
+        if (isResponder(identity) && (wasTargeted(identity, alert) || hasAccepted(identity, alert))) return allow();
+        if (isSupervisor(identity) && isNeededBy(identity, alert)) return allow();
+        return deny('Only the citizen who raised this alert, the responders sent to it or their supervisors can access its media.');
+    },
+
+    delete(identity) {
+        if (identity.accessLevel !== 'admin') {
+            return deny('Only an admin can delete alerts.');
+        }
+        return allow();
+    },
+
+    // Not tied to an alert: changes which responders future alerts are dispatched to.
+    manageDispatch(identity) {
+        if (identity.accessLevel !== 'admin') {
+            return deny('Only an admin can change dispatch plans.');
+        }
+        return allow();
+    },
+};
+
+/**
+ * Evaluates the policy for an action on an alert.
+ * @param {'cancel'|'accept'|'resolve'|'attach'|'chat'|'viewHistory'|'viewMessages'|'viewMedia'|'delete'|'manageDispatch'} action - The lifecycle action being attempted.
+ * @param {{ id: string, role: string, department: string|null, accessLevel: string }} identity - The caller.
+ * @param {object} [alert] - The alert as currently stored, for actions on an alert.
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function authorize(action, identity, alert) {
+    const policy = policies[action];
+    if (!policy) return deny(`Unknown action '${action}'.`);
+    return policy(identity, alert);
+}
+
+module.exports = { authorize };
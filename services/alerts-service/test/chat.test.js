@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, reply, identityHeaders } = require('../../../shared/testing');
+
+const alerts = {
+    // Needs a police officer and a paramedic; M1 accepted, P1 was only targeted.
+    1: {
+        id: 1, citizenId: 'c1', status: 'accepted', category: 'Medical Emergency', acceptedBy: null, targetedOfficers: ['P1', 'M1'],
+        units: [
+            { type: 'police', count: 1, targeted: [{ id: 'P1' }], acceptedBy: [] },
+            { type: 'paramedic', count: 1, targeted: [{ id: 'M1' }], acceptedBy: ['M1'] },
+        ],
+    },
+    // Raised before units, and accepted by P1 of the Law & Order department.
+    2: { id: 2, citizenId: 'c1', status: 'accepted', category: 'Law & Order', acceptedBy: 'P1', targetedOfficers: ['P1'], units: [] },
+    3: { id: 3, citizenId: 'c1', status: 'resolved', category: 'Law & Order', acceptedBy: 'P1', targetedOfficers: ['P1'], units: [] },
+};
+
+// Runs the Alerts Service against a stub Database Service holding the alerts above, where P1 is
+// both a traffic officer and a Law & Order police officer.
+let database;
+let service;
+before(async () => {
+    database = await startStub((req, body) => {
+        const [, id, rest] = req.url.match(/^\/alerts\/(\d+)(.*)$/) || [];
+        if (id && rest === '') return alerts[id] || reply(404, { message: 'Alert not found.' });
+        if (id && rest === '/messages') return reply(201, { id: 10, alertId: Number(id), senderId: body.senderId, senderRole: body.senderRole, body: body.body });
+        if (req.url === '/responders/accounts?id=P1') {
+            return [{ type: 'traffic', id: 'P1', department: 'Traffic' }, { type: 'police', id: 'P1', department: 'Law & Order' }];
+        }
+        return [];
+    });
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+async function sendMessage(alertId, identity, body = 'On my way.') {
+    database.requests.length = 0;
+    const response = await fetch(`${service.url}/alerts/${alertId}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...identityHeaders(identity) },
+        body: JSON.stringify({ body }),
+    });
+    const stored = database.requests.find(request => request.method === 'POST' && request.url === `/alerts/${alertId}/messages`);
+    return { status: response.status, body: await response.json(), stored: stored && stored.body };
+}
+
+test('messages are stored with an event for the citizen and every responder who accepted the alert', async () => {
+    const { status, stored } = await sendMessage(1, { id: 'M1', role: 'paramedic' });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(stored.senderId, 'M1');
+    assert.strictEqual(stored.senderRole, 'paramedic');
+    assert.deepStrictEqual(stored.events, [{
+        routingKey: 'alert.message.1',
+        payload: { participants: { citizenId: 'c1', responders: [{ type: 'paramedic', id: 'M1' }] } },
+        embedAlertAs: 'message',
+    }]);
+});
+
+test('on alerts without units, the participant is the account of the department that accepted it', async () => {
+    const { status, stored } = await sendMessage(2, { id: 'c1', role: 'citizen' });
+    assert.strictEqual(status, 201);
+    assert.deepStrictEqual(stored.events[0].payload.participants, { citizenId: 'c1', responders: [{ type: 'police', id: 'P1' }] });
+});
+
+test('responders who did not accept the alert cannot send messages', async () => {
+    const { status, stored } = await sendMessage(1, { id: 'P1', role: 'police' });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(stored, undefined);
+});
+
+test('closed alerts do not take messages', async () => {
+    const { status, body, stored } = await sendMessage(3, { id: 'c1', role: 'citizen' });
+    assert.strictEqual(status, 409);
+    assert.match(body.message, /resolved/);
+    assert.strictEqual(stored, undefined);
+});
+
+test('empty messages are refused', async () => {
+    const { status } = await sendMessage(1, { id: 'c1', role: 'citizen' }, '');
+    assert.strictEqual(status, 400);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub } = require('../../../shared/testing');
+
+const location = { lat: 12.97, lng: 77.59 };
+// Due for its second stage: its police unit targeted P1 in the first one.
+const widening = {
+    id: 1, status: 'new', category: 'Law & Order', geohash: 'tdr1', location, version: 3,
+    escalationStage: 0, searchRadius: 5, timestamp: Date.now(), targetedOfficers: ['P1'], escalationHistory: [],
+    units: [{ type: 'police', count: 1, maxTargeted: 5, targeted: [{ id: 'P1', distanceKm: 1, stage: 0 }], acceptedBy: [] }],
+};
+// Due at its final stage.
+const exhausted = { ...widening, id: 2, escalationStage: 1, searchRadius: 10 };
+
+// Runs the Alerts Service against a stub Database Service with two alerts due for escalation,
+// and a stub Location Service that finds P2 within any radius.
+let database;
+let locationService;
+let service;
+before(async () => {
+    let due = [widening, exhausted];
+    database = await startStub(req => {
+        if (req.url === '/alerts/due-for-escalation') {
+            const alerts = due;
+            due = [];
+            return alerts;
+        }
+        return [];
+    });
+    locationService = await startStub(() => ({ responders: [{ id: 'P2', type: 'police', distanceKm: 7 }] }));
+    service = await startService(path.join(__dirname, '..', 'index.js'), {
+        DATABASE_SERVICE_URL: database.url,
+        LOCATION_SERVICE_URL: locationService.url,
+        ESCALATION_RADII_KM: '5,10',
+    });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+    await locationService.close();
+});
+
+async function updateOf(alert) {
+    // The escalation processor runs every 5 seconds.
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const update = database.requests.find(request => request.method === 'PUT' && request.url === `/alerts/${alert.id}`);
+        if (update) return update.body;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail(`Alert #${alert.id} was not updated.`);
+}
+
+test('an unaccepted alert moves to the next radius and targets the responders found there', async () => {
+    const update = await updateOf(widening);
+    assert.strictEqual(update.expectedVersion, 3);
+    assert.strictEqual(update.escalationStage, 1);
+    assert.strictEqual(update.searchRadius, 10);
+    assert.deepStrictEqual(update.targetedOfficers, ['P1', 'P2']);
+    assert.deepStrictEqual(update.units[0].targeted.map(responder => [responder.id, responder.stage]), [['P1', 0], ['P2', 1]]);
+    assert.deepStrictEqual(update.escalationHistory.map(entry => [entry.action, entry.newlyTargeted]), [['escalated', ['P2']]]);
+
+    const [escalated, updated] = update.events;
+    assert.strictEqual(escalated.routingKey, 'alert.escalated');
+    assert.deepStrictEqual(escalated.payload.targetedResponders, [{ id: 'P2', type: 'police' }]);
+    assert.strictEqual(updated.routingKey, 'alert.updated.tdr1');
+
+    const search = locationService.requests[0].body;
+    assert.strictEqual(search.radiusKm, 10);
+    assert.deepStrictEqual(search.excludeIds, ['P1']);
+});
+
+test('an unaccepted alert at the final radius times out', async () => {
+    const update = await updateOf(exhausted);
+    assert.strictEqual(update.status, 'timed_out');
+    assert.deepStrictEqual(update.escalationHistory.map(entry => [entry.action, entry.stage]), [['timed_out', 1]]);
+    assert.deepStrictEqual(update.audit.map(entry => entry.type), ['timed_out']);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TRANSITIONS, checkTransition, isFinal } = require('../lifecycle');
+
+test('alerts move only along the listed transitions', () => {
+    for (const [from, targets] of Object.entries(TRANSITIONS)) {
+        for (const to of Object.keys(TRANSITIONS)) {
+            assert.strictEqual(checkTransition(from, to).allowed, targets.includes(to), `${from} -> ${to}`);
+        }
+    }
+});
+
+test('new alerts can be accepted, canceled or time out, and accepted ones resolved or canceled', () => {
+    assert.deepStrictEqual(TRANSITIONS.new, ['accepted', 'canceled', 'timed_out']);
+    assert.deepStrictEqual(TRANSITIONS.accepted, ['resolved', 'canceled']);
+});
+
+test('denied transitions explain why', () => {
+    assert.strictEqual(checkTransition('accepted', 'accepted').reason, 'The alert is already accepted.');
+    assert.strictEqual(checkTransition('timed_out', 'accepted').reason, 'An alert that is timed out cannot become accepted.');
+    assert.strictEqual(checkTransition('archived', 'new').reason, "Unknown alert status 'archived'.");
+});
+
+test('resolved, canceled and timed out alerts are final', () => {
+    assert.deepStrictEqual(Object.keys(TRANSITIONS).filter(isFinal), ['resolved', 'canceled', 'timed_out']);
+    assert.strictEqual(isFinal('archived'), false);
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, identityHeaders } = require('../../../shared/testing');
+
+// Runs the Alerts Service against a stub Database Service without any alerts.
+let database;
+let service;
+before(async () => {
+    database = await startStub(req => (req.url.startsWith('/alerts?') ? { alerts: [], nextCursor: null } : []));
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+async function listAlerts(identity, query) {
+    const response = await fetch(`${service.url}/alerts?${query}`, { headers: identityHeaders(identity) });
+    const listed = database.requests.filter(request => request.url.startsWith('/alerts?')).pop();
+    return { status: response.status, query: listed && new URLSearchParams(listed.url.split('?')[1]) };
+}
+
+test('citizens cannot list the alerts of another citizen', async () => {
+    const { status, query } = await listAlerts({ id: 'c1', role: 'citizen' }, 'citizenId=c2&status=pending');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(query.get('citizenId'), 'c1');
+    assert.strictEqual(query.get('status'), 'pending');
+});
+
+test('citizens list their own alerts without asking for them', async () => {
+    const { query } = await listAlerts({ id: 'c1', role: 'citizen' }, '');
+    assert.strictEqual(query.get('citizenId'), 'c1');
+});
+
+test('responders can filter by citizen', async () => {
+    const { status, query } = await listAlerts({ id: 'p1', role: 'police' }, 'citizenId=c2');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(query.get('citizenId'), 'c2');
+});
+
+test('other roles cannot list alerts', async () => {
+    database.requests.length = 0;
+    const { status, query } = await listAlerts({ id: 'x1', role: 'visitor' }, '');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(query, undefined);
+});
+
+test('parameters given more than once are refused rather than dropped', async () => {
+    database.requests.length = 0;
+    const { status, query } = await listAlerts({ id: 'p1', role: 'police' }, 'status=new&status=accepted');
+    assert.strictEqual(status, 400);
+    assert.strictEqual(query, undefined);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startService, startStub, reply, identityHeaders } = require('../../../shared/testing');
+
+const citizen = { id: 'c1', role: 'citizen' };
+const location = { lat: 12.97, lng: 77.59 };
+
+// Runs the Alerts Service on a media store in a temporary directory, against a stub Database
+// Service that stores an alert only when `storing` is set.
+let mediaDir;
+let database;
+let service;
+let storing = false;
+before(async () => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-media-'));
+    database = await startStub((req, body) => {
+        if (req.method === 'POST' && req.url === '/alerts') {
+            if (!storing) return reply(500, { message: 'Disk full.' });
+            return reply(201, { id: 1, ...body, status: 'new', attachments: body.attachments || [] });
+        }
+        return [];
+    });
+    service = await startService(path.join(__dirname, '..', 'index.js'), {
+        DATABASE_SERVICE_URL: database.url,
+        AI_ANALYSIS_SERVICE_URL: database.url,
+        LOCATION_SERVICE_URL: database.url,
+        MEDIA_STORE_DIR: mediaDir,
+    });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+});
+
+// The files in the media store, leaving out unfinished uploads.
+function storedFiles() {
+    return fs.readdirSync(mediaDir, { recursive: true })
+        .filter(file => !file.startsWith('tmp') && fs.statSync(path.join(mediaDir, file)).isFile());
+}
+
+async function report(form) {
+    const response = await fetch(`${service.url}/alerts`, { method: 'POST', headers: identityHeaders(citizen), body: form });
+    return response.status;
+}
+
+function reportForm({ fields = { location: JSON.stringify(location) }, audio, attachments = [] }) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    if (audio) form.append('audio', new Blob([audio], { type: 'audio/mp4' }), 'recording.m4a');
+    for (const { content, type } of attachments) form.append('attachments', new Blob([content], { type }), 'file');
+    return form;
+}
+
+test('files of an invalid report are removed', async () => {
+    const status = await report(reportForm({ fields: { location: 'nowhere' }, audio: Buffer.from('invalid report audio') }));
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('attachments and thumbnails are removed when another attachment is invalid', async () => {
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } }).png().toBuffer();
+    const status = await report(reportForm({
+        audio: Buffer.from('rejected attachment audio'),
+        attachments: [{ content: image, type: 'image/png' }, { content: Buffer.from('not a video'), type: 'video/mp4' }],
+    }));
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('files are removed when the alert cannot be stored', async () => {
+    const status = await report(reportForm({ audio: Buffer.from('unstored alert audio') }));
+    assert.strictEqual(status, 500);
+    assert.deepStrictEqual(storedFiles(), []);
+
+    const legacy = await fetch(`${service.url}/alerts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...identityHeaders(citizen) },
+        body: JSON.stringify({ location, audioBase64: Buffer.from('unstored legacy audio').toString('base64') }),
+    });
+    assert.strictEqual(legacy.status, 500);
+    assert.deepStrictEqual(storedFiles(), []);
+});
+
+test('files already stored for another alert are kept', async () => {
+    const audio = Buffer.from('shared audio');
+    storing = true;
+    assert.strictEqual(await report(reportForm({ audio })), 201);
+    storing = false;
+    assert.strictEqual(storedFiles().length, 1);
+
+    assert.strictEqual(await report(reportForm({ audio })), 500);
+    assert.strictEqual(storedFiles().length, 1);
+});
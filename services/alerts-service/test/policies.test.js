@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { authorize } = require('../policies');
+
+const alert = {
+    id: 1,
+    citizenId: 'cit',
+    category: 'Traffic Incident',
+    acceptedBy: null,
+    targetedOfficers: [],
+    units: [
+        { type: 'traffic', count: 1, targeted: [{ id: 'T1' }], acceptedBy: [] },
+        { type: 'paramedic', count: 1, targeted: [{ id: 'M1' }], acceptedBy: ['M1'] },
+    ],
+};
+const responder = (role, id, accessLevel = 'standard') => ({ role, id, department: null, accessLevel });
+
+test('viewMedia allows the citizen who raised the alert', () => {
+    assert.strictEqual(authorize('viewMedia', { role: 'citizen', id: 'cit' }, alert).allowed, true);
+});
+
+test('viewMedia allows responders targeted by or accepting the alert', () => {
+    assert.strictEqual(authorize('viewMedia', responder('traffic', 'T1'), alert).allowed, true);
+    assert.strictEqual(authorize('viewMedia', responder('paramedic', 'M1'), alert).allowed, true);
+});
+
+test('viewMedia allows supervisors of a responder type the alert needs', () => {
+    assert.strictEqual(authorize('viewMedia', responder('traffic', 'T9', 'supervisor'), alert).allowed, true);
+});
+
+test('viewMedia denies other citizens, responders the alert was not sent to and supervisors of other types', () => {
+    for (const identity of [
+        { role: 'citizen', id: 'someone' },
+        responder('traffic', 'T2'),
+        responder('police', 'T1'),
+        responder('police', 'P1', 'supervisor'),
+    ]) {
+        const decision = authorize('viewMedia', identity, alert);
+        assert.strictEqual(decision.allowed, false, `${identity.role} ${identity.id}`);
+        assert.ok(decision.reason);
+    }
+});
+
+test('viewMedia on alerts without units follows the targeted officers and the category department', () => {
+    const legacy = { citizenId: 'cit', category: 'Fire & Rescue', acceptedBy: null, targetedOfficers: ['F1'], units: [] };
+    assert.strictEqual(authorize('viewMedia', { role: 'firefighter', id: 'F1', department: 'Fire & Rescue', accessLevel: 'standard' }, legacy).allowed, true);
+    assert.strictEqual(authorize('viewMedia', { role: 'firefighter', id: 'F2', department: 'Fire & Rescue', accessLevel: 'standard' }, legacy).allowed, false);
+    assert.strictEqual(authorize('viewMedia', { role: 'firefighter', id: 'F9', department: 'Fire & Rescue', accessLevel: 'supervisor' }, legacy).allowed, true);
+    assert.strictEqual(authorize('viewMedia', { role: 'police', id: 'P9', department: 'Law & Order', accessLevel: 'supervisor' }, legacy).allowed, false);
+});
+
+test('cancel allows only the citizen who raised the alert', () => {
+    assert.strictEqual(authorize('cancel', { role: 'citizen', id: 'cit' }, alert).allowed, true);
+    assert.strictEqual(authorize('cancel', { role: 'citizen', id: 'someone' }, alert).allowed, false);
+    assert.strictEqual(authorize('cancel', responder('paramedic', 'M1', 'admin'), alert).allowed, false);
+});
+
+test('accept allows responders targeted for a unit the alert needs', () => {
+    assert.strictEqual(authorize('accept', responder('traffic', 'T1'), alert).allowed, true);
+    assert.match(authorize('accept', responder('traffic', 'T2'), alert).reason, /not targeted/);
+    assert.match(authorize('accept', responder('police', 'T1'), alert).reason, /does not need police/);
+    assert.strictEqual(authorize('accept', { role: 'citizen', id: 'cit' }, alert).allowed, false);
+});
+
+test('accept on alerts without units needs a targeted officer of the category department', () => {
+    const legacy = { citizenId: 'cit', category: 'Medical Emergency', acceptedBy: null, targetedOfficers: ['P1'], units: [] };
+    assert.strictEqual(authorize('accept', { role: 'police', id: 'P1', department: 'Law & Order', accessLevel: 'standard' }, legacy).allowed, true);
+    assert.match(authorize('accept', { role: 'police', id: 'P1', department: 'Traffic', accessLevel: 'standard' }, legacy).reason, /Law & Order department/);
+    assert.strictEqual(authorize('accept', { role: 'police', id: 'P2', department: 'Law & Order', accessLevel: 'standard' }, legacy).allowed, false);
+});
+
+test('resolve allows responders who accepted the alert and supervisors', () => {
+    assert.strictEqual(authorize('resolve', responder('paramedic', 'M1'), alert).allowed, true);
+    assert.strictEqual(authorize('resolve', responder('police', 'P9', 'supervisor'), alert).allowed, true);
+    assert.strictEqual(authorize('resolve', responder('traffic', 'T1'), alert).allowed, false);
+    assert.strictEqual(authorize('resolve', responder('traffic', 'M1'), alert).allowed, false);
+    assert.strictEqual(authorize('resolve', { role: 'citizen', id: 'cit' }, alert).allowed, false);
+});
+
+test('resolve on alerts without units allows the responder recorded as accepting it', () => {
+    const legacy = { citizenId: 'cit', category: 'Law & Order', acceptedBy: 'P1', targetedOfficers: ['P1'], units: [] };
+    assert.strictEqual(authorize('resolve', responder('police', 'P1'), legacy).allowed, true);
+    assert.strictEqual(authorize('resolve', responder('police', 'P2'), legacy).allowed, false);
+});
+
+test('delete allows only admins', () => {
+    assert.strictEqual(authorize('delete', responder('police', 'A1', 'admin'), alert).allowed, true);
+    assert.strictEqual(authorize('delete', responder('police', 'S1', 'supervisor'), alert).allowed, false);
+    assert.strictEqual(authorize('delete', { role: 'citizen', id: 'cit', accessLevel: undefined }, alert).allowed, false);
+});
+
+test('unknown actions are denied', () => {
+    assert.strictEqual(authorize('escalate', responder('police', 'A1', 'admin'), alert).allowed, false);
+});
+
+test('chat allows the citizen who raised the alert and the responders who accepted it', () => {
+    assert.strictEqual(authorize('chat', { role: 'citizen', id: 'cit' }, alert).allowed, true);
+    assert.strictEqual(authorize('chat', responder('paramedic', 'M1'), alert).allowed, true);
+    assert.strictEqual(authorize('chat', { role: 'citizen', id: 'someone' }, alert).allowed, false);
+    assert.strictEqual(authorize('chat', responder('traffic', 'T1'), alert).allowed, false);
+    assert.strictEqual(authorize('chat', responder('paramedic', 'M9', 'supervisor'), alert).allowed, false);
+});
+
+test('chat on alerts without units allows the responder recorded as accepting it', () => {
+    const legacy = { citizenId: 'cit', category: 'Law & Order', acceptedBy: 'P1', targetedOfficers: ['P1', 'P2'], units: [] };
+    assert.strictEqual(authorize('chat', responder('police', 'P1'), legacy).allowed, true);
+    assert.strictEqual(authorize('chat', responder('police', 'P2'), legacy).allowed, false);
+});
+
+test('viewMessages also allows supervisors, who read but do not take part', () => {
+    assert.strictEqual(authorize('viewMessages', { role: 'citizen', id: 'cit' }, alert).allowed, true);
+    assert.strictEqual(authorize('viewMessages', responder('paramedic', 'M1'), alert).allowed, true);
+    assert.strictEqual(authorize('viewMessages', responder('police', 'P9', 'supervisor'), alert).allowed, true);
+    assert.strictEqual(authorize('viewMessages', responder('traffic', 'T1'), alert).allowed, false);
+    assert.strictEqual(authorize('viewMessages', { role: 'citizen', id: 'someone' }, alert).allowed, false);
+});
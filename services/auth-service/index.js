@@ -1,9 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
+const {
+    ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS,
+    signAccessToken, generateOpaqueToken, hashToken, requireIdentity, isSupervisorOf,
+} = require('../../shared/auth');
+const { schemas, validate } = require('../../shared/schemas');
+const { RESPONDER_TYPES, RESPONDER_ROLES, isResponderRole } = require('../../shared/responders');
 
 const PORT = process.env.PORT || 3002;
 const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://database-service:3008';
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MIN_PASSWORD_LENGTH = 8;
+const MIN_RESPONDER_SECRET_LENGTH = 6; // Responders may use a numeric PIN.
+// Returns reset tokens in the response instead of relying on an out-of-band channel. Anyone could
+// then reset any citizen's password, so this is for local development only.
+const EXPOSE_RESET_TOKENS = process.env.EXPOSE_RESET_TOKENS === 'true';
+
+// The database service path of a responder account.
+const responderPath = (role, accountId) => `/responders/${role}/${encodeURIComponent(accountId)}`;
+
 const app = express();
 app.use(cors());
 app.use(express.json());
@@ -19,8 +35,10 @@ const dbService = {
 
         const data = await response.json();
         if (!response.ok) {
-            // Forward the error message from the database service.
-            throw new Error(data.message || `Database service error: ${response.status}`);
+            // Forward the error message and status from the database service.
+            const error = new Error(data.message || `Database service error: ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
         return data;
     },
@@ -32,11 +50,27 @@ const AuthService = {
 
         app.post('/citizen/register', this.registerCitizen);
         app.post('/citizen/login', this.loginCitizen);
-        app.post('/police/register', this.registerPolice);
-        app.post('/police/login', this.loginPolice);
-        app.post('/police/pushtoken', this.updatePushToken);
-        app.post('/firefighter/login', this.loginOrRegisterFirefighter);
-        app.post('/firefighter/pushtoken', this.updateFirefighterPushToken);
+        app.post('/citizen/password', requireIdentity('citizen'), this.changeCitizenPassword);
+        app.post('/citizen/password/reset-request', this.requestPasswordReset);
+        app.post('/citizen/password/reset', this.resetPassword);
+
+        // Responder accounts, e.g. POST /paramedic/login, and their supervisor account management,
+        // e.g. GET /police/accounts?status=pending
+        for (const role of RESPONDER_ROLES) {
+            const { idField } = RESPONDER_TYPES[role];
+            app.post(`/${role}/register`, this.registerResponder(role));
+            app.post(`/${role}/login`, this.loginResponder(role));
+            app.post(`/${role}/pushtoken`, requireIdentity(role), this.updatePushToken);
+
+            const supervisorOnly = [requireIdentity(), this.requireSupervisorOf(role)];
+            app.get(`/${role}/accounts`, ...supervisorOnly, this.listResponderAccounts(role));
+            app.put(`/${role}/:${idField}/status`, ...supervisorOnly, this.updateResponderStatus(role));
+            app.put(`/${role}/:${idField}/credentials`, ...supervisorOnly, this.setResponderCredentials(role));
+            app.get(`/${role}/:${idField}/login-attempts`, ...supervisorOnly, this.listLoginAttempts(role));
+        }
+
+        app.post('/token/refresh', this.refreshSession);
+        app.post('/token/revoke', this.revokeSession);
 
         app.listen(PORT, () => {
             console.log(`Auth Service listening on port ${PORT}`);
@@ -66,79 +100,372 @@ const AuthService = {
     },
 
     async registerCitizen(req, res) {
+        const { errors } = validate(schemas.citizen.register, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid registration.', errors });
+        }
+        const { username, password } = req.body;
+        if (!username || !AuthService._isAcceptablePassword(password)) {
+            return res.status(400).json({ message: `Username and a password of at least ${MIN_PASSWORD_LENGTH} characters are required.` });
+        }
         try {
             const user = await dbService.request('/citizens/register', { method: 'POST', body: JSON.stringify(req.body) });
             res.status(201).json(user);
         } catch (error) {
-            // Assuming 409 for constraint violation from dbService
-            res.status(409).json({ message: error.message });
+            res.status(error.status || 500).json({ message: error.message });
         }
     },
 
     async loginCitizen(req, res) {
         try {
             const user = await dbService.request('/citizens/login', { method: 'POST', body: JSON.stringify(req.body) });
-            res.json(user);
+            const session = await AuthService._issueSession({ id: user.username, role: 'citizen', department: null });
+            res.json({ ...user, ...session });
         } catch (error) {
             // Assuming 401 for login failure from dbService
             res.status(401).json({ message: error.message });
         }
     },
 
-    async registerPolice(req, res) {
+    async changeCitizenPassword(req, res) {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !AuthService._isAcceptablePassword(newPassword)) {
+            return res.status(400).json({ message: `Current password and a new password of at least ${MIN_PASSWORD_LENGTH} characters are required.` });
+        }
         try {
-            const officer = await dbService.request('/police/register', { method: 'POST', body: JSON.stringify(req.body) });
-            res.status(201).json(officer);
+            const username = req.identity.id;
+            await dbService.request(`/citizens/${encodeURIComponent(username)}/password`, {
+                method: 'PUT',
+                body: JSON.stringify({ currentPassword, newPassword }),
+            });
+            // Sign out every other device that knew the old password.
+            await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: username, role: 'citizen' }) });
+            res.status(204).send();
         } catch (error) {
-            res.status(409).json({ message: error.message });
+            if (error.status === 401) {
+                return res.status(401).json({ message: error.message });
+            }
+            console.error('Error changing password:', error);
+            res.status(500).json({ message: 'Failed to change password.' });
         }
     },
 
-    async loginPolice(req, res) {
+    /**
+     * Issues a single-use password reset token. The response is identical whether or not the
+     * username exists, so the endpoint cannot be used to enumerate accounts. Delivering the token
+     * to the citizen (SMS, e-mail) is the job of an out-of-band channel; with EXPOSE_RESET_TOKENS
+     * it is also returned in the response, for local testing.
+     */
+    async requestPasswordReset(req, res) {
+        const { username } = req.body;
+        if (!username) {
+            return res.status(400).json({ message: 'Username is required.' });
+        }
+        const resetToken = generateOpaqueToken();
         try {
-            const officer = await dbService.request('/police/login', { method: 'POST', body: JSON.stringify(req.body) });
-            res.json(officer);
+            await dbService.request('/password-resets', {
+                method: 'POST',
+                body: JSON.stringify({ username, tokenHash: hashToken(resetToken), expiresAt: Date.now() + PASSWORD_RESET_TTL_MS }),
+            });
+            console.log(`[Auth] Password reset requested for citizen ${username}.`);
         } catch (error) {
-            res.status(401).json({ message: error.message });
+            if (error.status !== 404) {
+                console.error('Error creating password reset:', error);
+                return res.status(500).json({ message: 'Failed to request password reset.' });
+            }
         }
+        const body = { message: 'If the account exists, a reset token has been issued.' };
+        if (EXPOSE_RESET_TOKENS) body.resetToken = resetToken;
+        res.status(202).json(body);
     },
 
-    async loginOrRegisterFirefighter(req, res) {
+    async resetPassword(req, res) {
+        const { resetToken, newPassword } = req.body;
+        if (!resetToken || !AuthService._isAcceptablePassword(newPassword)) {
+            return res.status(400).json({ message: `Reset token and a new password of at least ${MIN_PASSWORD_LENGTH} characters are required.` });
+        }
         try {
-            const firefighter = await dbService.request('/firefighters/login', { method: 'POST', body: JSON.stringify(req.body) });
-            res.json(firefighter);
+            const { username } = await dbService.request('/password-resets/consume', {
+                method: 'POST',
+                body: JSON.stringify({ tokenHash: hashToken(resetToken), newPassword }),
+            });
+            await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: username, role: 'citizen' }) });
+            res.status(204).send();
         } catch (error) {
-            console.error('Error in loginOrRegisterFirefighter:', error);
-            res.status(500).json({ message: 'Login/Registration failed.' });
+            if (error.status === 400) {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('Error resetting password:', error);
+            res.status(500).json({ message: 'Failed to reset password.' });
         }
     },
 
+    /**
+     * Registers a responder account. The account starts as 'pending' and cannot log in
+     * until a supervisor approves it.
+     */
+    registerResponder(role) {
+        const { idField } = RESPONDER_TYPES[role];
+        return async (req, res) => {
+            const { errors } = validate(schemas[role].register, req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ message: 'Invalid registration.', errors });
+            }
+            if (!req.body[idField] || !AuthService._isAcceptablePassword(req.body.password, MIN_RESPONDER_SECRET_LENGTH)) {
+                return res.status(400).json({ message: `${idField} and a password or PIN of at least ${MIN_RESPONDER_SECRET_LENGTH} characters are required.` });
+            }
+            try {
+                const { [idField]: id, ...details } = req.body;
+                const account = await dbService.request(`/responders/${role}/register`, { method: 'POST', body: JSON.stringify({ id, ...details }) });
+                console.log(`[Auth] New ${role} account ${account[idField]} registered and awaiting approval.`);
+                res.status(201).json({ ...account, message: 'Registration received. A supervisor must approve the account before you can log in.' });
+            } catch (error) {
+                res.status(error.status || 500).json({ message: error.message });
+            }
+        };
+    },
+
+    loginResponder(role) {
+        const { idField } = RESPONDER_TYPES[role];
+        return async (req, res) => {
+            const { password } = req.body;
+            const accountId = req.body[idField];
+            if (!accountId || !password) {
+                return res.status(400).json({ message: `${idField} and password are required.` });
+            }
+            try {
+                const account = await dbService.request(`/responders/${role}/login`, {
+                    method: 'POST',
+                    body: JSON.stringify({ id: accountId, password, ipAddress: req.headers['x-forwarded-for'] || req.ip }),
+                });
+                const session = await AuthService._issueSession(AuthService._responderIdentity(role, account));
+                res.json({ ...account, ...session });
+            } catch (error) {
+                if (error.status && error.status < 500) {
+                    console.warn(`[Auth] Failed ${role} login for ${accountId}: ${error.message}`);
+                    return res.status(error.status).json({ message: error.message });
+                }
+                console.error(`Error in ${role} login:`, error);
+                res.status(500).json({ message: 'Login failed.' });
+            }
+        };
+    },
+
+    /**
+     * Middleware allowing admins, and supervisors of the same responder type, to manage accounts.
+     */
+    requireSupervisorOf(role) {
+        return (req, res, next) => {
+            if (isSupervisorOf(req.identity, role)) return next();
+            res.status(403).json({ message: `Only a ${role} supervisor or an admin can manage ${role} accounts.` });
+        };
+    },
+
+    listResponderAccounts(role) {
+        return async (req, res) => {
+            try {
+                const params = new URLSearchParams({ type: role });
+                if (req.query.status) params.set('status', req.query.status);
+                res.json(await dbService.request(`/responders/accounts?${params}`));
+            } catch (error) {
+                console.error(`Error listing ${role} accounts:`, error);
+                res.status(500).json({ message: 'Failed to list accounts.' });
+            }
+        };
+    },
+
+    /**
+     * Approves, suspends, deactivates or reactivates a responder account. Suspending or
+     * deactivating an account also revokes all of its sessions. Only admins may change access levels.
+     */
+    updateResponderStatus(role) {
+        const { idField } = RESPONDER_TYPES[role];
+        return async (req, res) => {
+            const accountId = req.params[idField];
+            const { status, accessLevel } = req.body;
+            if (!status && !accessLevel) {
+                return res.status(400).json({ message: 'A status or access level is required.' });
+            }
+            if (accessLevel && req.identity.accessLevel !== 'admin') {
+                return res.status(403).json({ message: 'Only an admin can change access levels.' });
+            }
+            try {
+                const account = await dbService.request(`${responderPath(role, accountId)}/status`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ status, accessLevel }),
+                });
+                if (account.status !== 'active') {
+                    await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: accountId, role }) });
+                }
+                console.log(`[Auth] ${req.identity.role} ${req.identity.id} set ${role} ${accountId} to status=${account.status}, accessLevel=${account.accessLevel}.`);
+                res.json(account);
+            } catch (error) {
+                if (error.status && error.status < 500) {
+                    return res.status(error.status).json({ message: error.message });
+                }
+                console.error(`Error updating ${role} account status:`, error);
+                res.status(500).json({ message: 'Failed to update account.' });
+            }
+        };
+    },
+
+    /**
+     * Sets a (temporary) password or PIN for a responder, e.g. for accounts that predate credentials.
+     */
+    setResponderCredentials(role) {
+        const { idField } = RESPONDER_TYPES[role];
+        return async (req, res) => {
+            const accountId = req.params[idField];
+            const { password } = req.body;
+            if (!AuthService._isAcceptablePassword(password, MIN_RESPONDER_SECRET_LENGTH)) {
+                return res.status(400).json({ message: `A password or PIN of at least ${MIN_RESPONDER_SECRET_LENGTH} characters is required.` });
+            }
+            try {
+                await dbService.request(`${responderPath(role, accountId)}/credentials`, { method: 'PUT', body: JSON.stringify({ password }) });
+                await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: accountId, role }) });
+                console.log(`[Auth] ${req.identity.role} ${req.identity.id} reset credentials for ${role} ${accountId}.`);
+                res.status(204).send();
+            } catch (error) {
+                if (error.status === 404) {
+                    return res.status(404).json({ message: error.message });
+                }
+                console.error(`Error setting ${role} credentials:`, error);
+                res.status(500).json({ message: 'Failed to set credentials.' });
+            }
+        };
+    },
+
+    listLoginAttempts(role) {
+        const { idField } = RESPONDER_TYPES[role];
+        return async (req, res) => {
+            try {
+                const params = new URLSearchParams({ role, accountId: req.params[idField], limit: req.query.limit || '50' });
+                res.json(await dbService.request(`/login-attempts?${params}`));
+            } catch (error) {
+                console.error(`Error listing ${role} login attempts:`, error);
+                res.status(500).json({ message: 'Failed to list login attempts.' });
+            }
+        };
+    },
+
     async updatePushToken(req, res) {
         try {
-            const { badgeNumber, token } = req.body;
-            if (!badgeNumber || !token) {
-                return res.status(400).json({ message: 'Badge number and token are required.' });
+            // The badge or unit number comes from the verified token, never from the request body.
+            const { id, role } = req.identity;
+            const { token } = req.body;
+            if (!token) {
+                return res.status(400).json({ message: 'Push token is required.' });
             }
-            await dbService.request(`/police/${badgeNumber}/pushtoken`, { method: 'PUT', body: JSON.stringify({ token }) });
+            await dbService.request(`${responderPath(role, id)}/pushtoken`, { method: 'PUT', body: JSON.stringify({ token }) });
             res.status(204).send();
         } catch (error) {
-            console.error('Error updating push token:', error);
+            console.error(`Error updating ${req.identity.role} push token:`, error);
             res.status(500).json({ message: 'Failed to update push token.' });
         }
     },
 
-    async updateFirefighterPushToken(req, res) {
+    /**
+     * Exchanges a valid refresh token for a new access/refresh token pair.
+     * Refresh tokens are single-use: the presented token is revoked and replaced. If an
+     * already-revoked token is presented, it has likely been stolen, so every session
+     * belonging to that user is revoked.
+     */
+    async refreshSession(req, res) {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required.' });
+        }
         try {
-            const { unitNumber, token } = req.body;
-            if (!unitNumber || !token) {
-                return res.status(400).json({ message: 'Unit number and token are required.' });
+            const tokenHash = hashToken(refreshToken);
+            const stored = await dbService.request(`/refresh-tokens/${tokenHash}`);
+
+            if (stored.revokedAt) {
+                console.warn(`[Auth] Reuse of revoked refresh token detected for ${stored.role} ${stored.userId}. Revoking all sessions.`);
+                await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: stored.userId, role: stored.role }) });
+                return res.status(401).json({ message: 'Refresh token has been revoked.' });
+            }
+            if (stored.expiresAt <= Date.now()) {
+                return res.status(401).json({ message: 'Refresh token has expired.' });
+            }
+
+            const identity = await AuthService._currentIdentity(stored.userId, stored.role);
+            if (!identity) {
+                await dbService.request('/refresh-tokens/revoke-all', { method: 'POST', body: JSON.stringify({ userId: stored.userId, role: stored.role }) });
+                return res.status(403).json({ message: 'Account is no longer active.' });
             }
-            await dbService.request(`/firefighters/${unitNumber}/pushtoken`, { method: 'PUT', body: JSON.stringify({ token }) });
+
+            const session = await AuthService._issueSession(identity);
+            await dbService.request(`/refresh-tokens/${tokenHash}/revoke`, {
+                method: 'PUT',
+                body: JSON.stringify({ replacedBy: hashToken(session.refreshToken) }),
+            });
+            res.json(session);
+        } catch (error) {
+            if (error.status === 404) {
+                return res.status(401).json({ message: 'Invalid refresh token.' });
+            }
+            console.error('Error refreshing session:', error);
+            res.status(500).json({ message: 'Failed to refresh session.' });
+        }
+    },
+
+    /**
+     * Revokes a refresh token, ending the session (logout).
+     */
+    async revokeSession(req, res) {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required.' });
+        }
+        try {
+            await dbService.request(`/refresh-tokens/${hashToken(refreshToken)}/revoke`, { method: 'PUT', body: JSON.stringify({}) });
             res.status(204).send();
         } catch (error) {
-            console.error('Error updating firefighter push token:', error);
-            res.status(500).json({ message: 'Failed to update push token.' });
+            console.error('Error revoking session:', error);
+            res.status(500).json({ message: 'Failed to revoke session.' });
         }
+    },
+
+    _isAcceptablePassword(password, minLength = MIN_PASSWORD_LENGTH) {
+        return typeof password === 'string' && password.length >= minLength;
+    },
+
+    _responderIdentity(role, account) {
+        return { id: account.id, role, department: account.department, accessLevel: account.accessLevel };
+    },
+
+    /**
+     * Re-reads the account behind a session so refreshed tokens carry the current department
+     * and access level. Returns null if a responder account is no longer active.
+     */
+    async _currentIdentity(userId, role) {
+        if (!isResponderRole(role)) return { id: userId, role, department: null };
+        try {
+            const account = await dbService.request(responderPath(role, userId));
+            return account.status === 'active' ? AuthService._responderIdentity(role, account) : null;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    },
+
+    /**
+     * Issues a signed access token and a persisted refresh token for an authenticated identity.
+     */
+    async _issueSession(identity) {
+        const accessToken = signAccessToken(identity);
+        const refreshToken = generateOpaqueToken();
+        await dbService.request('/refresh-tokens', {
+            method: 'POST',
+            body: JSON.stringify({
+                tokenHash: hashToken(refreshToken),
+                userId: identity.id,
+                role: identity.role,
+                department: identity.department,
+                expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+            }),
+        });
+        return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
     }
 };
 
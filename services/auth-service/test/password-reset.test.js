@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, reply } = require('../../../shared/testing');
+
+// Runs the Auth Service against a stub Database Service that accepts every reset request.
+let database;
+before(async () => {
+    database = await startStub(() => reply(201));
+});
+after(() => database.close());
+
+function startAuthService(env) {
+    return startService(path.join(__dirname, '..', 'index.js'), { ...env, DATABASE_SERVICE_URL: database.url });
+}
+
+async function requestReset(url) {
+    const response = await fetch(`${url}/citizen/password/reset-request`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'someone' }),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('reset tokens are not returned by default', async () => {
+    const service = await startAuthService({});
+    try {
+        const { status, body } = await requestReset(service.url);
+        assert.strictEqual(status, 202);
+        assert.strictEqual(body.resetToken, undefined);
+    } finally {
+        await service.stop();
+    }
+});
+
+test('reset tokens are returned with EXPOSE_RESET_TOKENS=true', async () => {
+    const service = await startAuthService({ EXPOSE_RESET_TOKENS: 'true' });
+    try {
+        const { body } = await requestReset(service.url);
+        assert.strictEqual(typeof body.resetToken, 'string');
+    } finally {
+        await service.stop();
+    }
+});
@@ -1,10 +1,76 @@
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const path = require('path');
+const { encodePosition } = require('./geo');
 
 // This module exports a singleton database connection, used exclusively by the Database Service.
 let db;
 
+// [category, responderType, count, maxTargeted]
+const DEFAULT_CATEGORY_RESPONDER_TYPES = [
+    ['Law & Order', 'police', 1, 5],
+    ['Fire & Rescue', 'firefighter', 1, 3],
+    ['Medical Emergency', 'paramedic', 1, 3],
+    ['Traffic Incident', 'traffic', 1, 5],
+    ['Traffic Incident', 'paramedic', 1, 3],
+];
+
+/**
+ * Moves accounts from the per-type `police` and `firefighters` tables of older databases into
+ * `responders`, then drops those tables. Accounts that already exist in `responders` are kept.
+ */
+async function migrateLegacyResponders(db) {
+    const columnsOf = async (table) => (await db.all(`PRAGMA table_info(${table})`)).map(col => col.name);
+
+    const policeColumnNames = await columnsOf('police');
+    if (policeColumnNames.length > 0) {
+        if (!policeColumnNames.includes('pushToken')) await db.exec('ALTER TABLE police ADD COLUMN pushToken TEXT');
+        if (!policeColumnNames.includes('locationLat')) await db.exec('ALTER TABLE police ADD COLUMN locationLat REAL');
+        if (!policeColumnNames.includes('locationLng')) await db.exec('ALTER TABLE police ADD COLUMN locationLng REAL');
+        if (!policeColumnNames.includes('department')) await db.exec("ALTER TABLE police ADD COLUMN department TEXT DEFAULT 'Law & Order'");
+        // Accounts that existed before credentials were introduced stay active, but cannot log in
+        // until a supervisor sets a password for them.
+        if (!policeColumnNames.includes('passwordHash')) await db.exec('ALTER TABLE police ADD COLUMN passwordHash TEXT');
+        if (!policeColumnNames.includes('status')) await db.exec("ALTER TABLE police ADD COLUMN status TEXT NOT NULL DEFAULT 'active'");
+        if (!policeColumnNames.includes('accessLevel')) await db.exec("ALTER TABLE police ADD COLUMN accessLevel TEXT NOT NULL DEFAULT 'standard'");
+    }
+
+    const firefightersColumnNames = await columnsOf('firefighters');
+    if (firefightersColumnNames.length > 0) {
+        if (!firefightersColumnNames.includes('pushToken')) await db.exec('ALTER TABLE firefighters ADD COLUMN pushToken TEXT');
+        if (!firefightersColumnNames.includes('locationLat')) await db.exec('ALTER TABLE firefighters ADD COLUMN locationLat REAL');
+        if (!firefightersColumnNames.includes('locationLng')) await db.exec('ALTER TABLE firefighters ADD COLUMN locationLng REAL');
+        if (!firefightersColumnNames.includes('department')) await db.exec("ALTER TABLE firefighters ADD COLUMN department TEXT DEFAULT 'Fire & Rescue'");
+        if (!firefightersColumnNames.includes('passwordHash')) await db.exec('ALTER TABLE firefighters ADD COLUMN passwordHash TEXT');
+        if (!firefightersColumnNames.includes('status')) await db.exec("ALTER TABLE firefighters ADD COLUMN status TEXT NOT NULL DEFAULT 'active'");
+        if (!firefightersColumnNames.includes('accessLevel')) await db.exec("ALTER TABLE firefighters ADD COLUMN accessLevel TEXT NOT NULL DEFAULT 'standard'");
+    }
+
+    if (policeColumnNames.length === 0 && firefightersColumnNames.length === 0) return;
+
+    const migrated = await withTransaction(async (tx) => {
+        let count = 0;
+        if (policeColumnNames.length > 0) {
+            const { changes } = await tx.run(`
+                INSERT OR IGNORE INTO responders (type, responderId, name, designation, phoneNumber, department, pushToken, locationLat, locationLng, passwordHash, status, accessLevel, availability)
+                SELECT 'police', badgeNumber, name, designation, phoneNumber, COALESCE(department, 'Law & Order'), pushToken, locationLat, locationLng, passwordHash, status, accessLevel, 'available' FROM police
+            `);
+            count += changes;
+            await tx.exec('DROP TABLE police');
+        }
+        if (firefightersColumnNames.length > 0) {
+            const { changes } = await tx.run(`
+                INSERT OR IGNORE INTO responders (type, responderId, department, pushToken, locationLat, locationLng, passwordHash, status, accessLevel, availability)
+                SELECT 'firefighter', unitNumber, COALESCE(department, 'Fire & Rescue'), pushToken, locationLat, locationLng, passwordHash, status, accessLevel, 'available' FROM firefighters
+            `);
+            count += changes;
+            await tx.exec('DROP TABLE firefighters');
+        }
+        return count;
+    });
+    console.log(`[DB] Migrated ${migrated} police and firefighter accounts to the responders table.`);
+}
+
 /**
  * Initializes the database connection, creates tables if they don't exist,
  * and performs necessary schema migrations.
@@ -14,9 +80,9 @@ async function setupDatabase() {
     // If the database is already initialized, return the existing instance.
     if (db) return db;
 
-    // The database file will live in the root `server` directory.
+    // By default, the database file lives in the root `server` directory.
     // __dirname is `services/database-service`, so we go up two levels.
-    const dbPath = path.join(__dirname, '..', '..', 'database.db');
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'database.db');
 
     db = await open({
         filename: dbPath,
@@ -30,22 +96,41 @@ async function setupDatabase() {
             username TEXT PRIMARY KEY,
             password TEXT NOT NULL
         );
-        CREATE TABLE IF NOT EXISTS police (
-            badgeNumber TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            designation TEXT NOT NULL,
-            phoneNumber TEXT NOT NULL,
+        CREATE TABLE IF NOT EXISTS responders (
+            type TEXT NOT NULL,
+            responderId TEXT NOT NULL,
+            name TEXT,
+            designation TEXT,
+            phoneNumber TEXT,
+            department TEXT,
+            capabilities TEXT,
             pushToken TEXT,
             locationLat REAL,
             locationLng REAL,
-            department TEXT DEFAULT 'Law & Order'
+            geohash TEXT,
+            lastSeen INTEGER,
+            passwordHash TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            accessLevel TEXT NOT NULL DEFAULT 'standard',
+            availability TEXT NOT NULL DEFAULT 'off_duty',
+            currentAlertId INTEGER,
+            availabilityChangedAt INTEGER,
+            PRIMARY KEY (type, responderId)
         );
-        CREATE TABLE IF NOT EXISTS firefighters (
-            unitNumber TEXT PRIMARY KEY,
-            pushToken TEXT,
-            locationLat REAL,
-            locationLng REAL,
-            department TEXT DEFAULT 'Fire & Rescue'
+        CREATE TABLE IF NOT EXISTS responder_locations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            responderId TEXT NOT NULL,
+            lat REAL NOT NULL,
+            lng REAL NOT NULL,
+            recordedAt INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS category_responder_types (
+            category TEXT NOT NULL,
+            responderType TEXT NOT NULL,
+            count INTEGER NOT NULL DEFAULT 1,
+            maxTargeted INTEGER NOT NULL DEFAULT 5,
+            PRIMARY KEY (category, responderType)
         );
         CREATE TABLE IF NOT EXISTS alerts (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -61,7 +146,84 @@ async function setupDatabase() {
             searchRadius INTEGER,
             timeoutTimestamp INTEGER,
             targetedOfficers TEXT,
-            geohash TEXT
+            geohash TEXT,
+            escalationStage INTEGER NOT NULL DEFAULT 0,
+            escalationHistory TEXT,
+            version INTEGER NOT NULL DEFAULT 1,
+            deletedAt INTEGER,
+            audioRef TEXT,
+            audioContentType TEXT,
+            audioSize INTEGER,
+            attachments TEXT,
+            units TEXT
+        );
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            tokenHash TEXT PRIMARY KEY,
+            userId TEXT NOT NULL,
+            role TEXT NOT NULL,
+            department TEXT,
+            issuedAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            revokedAt INTEGER,
+            replacedBy TEXT
+        );
+        CREATE TABLE IF NOT EXISTS password_resets (
+            tokenHash TEXT PRIMARY KEY,
+            username TEXT NOT NULL,
+            createdAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            usedAt INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            role TEXT NOT NULL,
+            accountId TEXT NOT NULL,
+            succeeded INTEGER NOT NULL,
+            reason TEXT,
+            ipAddress TEXT,
+            timestamp INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            routingKey TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            createdAt INTEGER NOT NULL,
+            sentAt INTEGER,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            lastError TEXT
+        );
+        CREATE TABLE IF NOT EXISTS push_deliveries (
+            alertId INTEGER NOT NULL,
+            pushToken TEXT NOT NULL,
+            sentAt INTEGER NOT NULL,
+            PRIMARY KEY (alertId, pushToken)
+        );
+        CREATE TABLE IF NOT EXISTS alert_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alertId INTEGER NOT NULL,
+            senderId TEXT NOT NULL,
+            senderRole TEXT NOT NULL,
+            body TEXT NOT NULL,
+            createdAt INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS alert_message_reads (
+            alertId INTEGER NOT NULL,
+            readerId TEXT NOT NULL,
+            readerRole TEXT NOT NULL,
+            messageId INTEGER NOT NULL,
+            readAt INTEGER NOT NULL,
+            PRIMARY KEY (alertId, readerRole, readerId)
+        );
+        CREATE TABLE IF NOT EXISTS alert_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alertId INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            actorId TEXT,
+            actorRole TEXT,
+            fromStatus TEXT,
+            toStatus TEXT,
+            details TEXT,
+            timestamp INTEGER NOT NULL
         );
     `);
 
@@ -78,30 +240,139 @@ async function setupDatabase() {
     if (!alertsColumnNames.includes('targetedOfficers')) await db.exec('ALTER TABLE alerts ADD COLUMN targetedOfficers TEXT');
     if (!alertsColumnNames.includes('category')) await db.exec('ALTER TABLE alerts ADD COLUMN category TEXT');
     if (!alertsColumnNames.includes('geohash')) await db.exec('ALTER TABLE alerts ADD COLUMN geohash TEXT');
+    if (!alertsColumnNames.includes('escalationStage')) await db.exec('ALTER TABLE alerts ADD COLUMN escalationStage INTEGER NOT NULL DEFAULT 0');
+    if (!alertsColumnNames.includes('escalationHistory')) await db.exec('ALTER TABLE alerts ADD COLUMN escalationHistory TEXT');
+    if (!alertsColumnNames.includes('version')) await db.exec('ALTER TABLE alerts ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    if (!alertsColumnNames.includes('deletedAt')) await db.exec('ALTER TABLE alerts ADD COLUMN deletedAt INTEGER');
+    // Audio now lives in the media store. `audioBase64` is only read to migrate older alerts there.
+    if (!alertsColumnNames.includes('audioRef')) await db.exec('ALTER TABLE alerts ADD COLUMN audioRef TEXT');
+    if (!alertsColumnNames.includes('audioContentType')) await db.exec('ALTER TABLE alerts ADD COLUMN audioContentType TEXT');
+    if (!alertsColumnNames.includes('audioSize')) await db.exec('ALTER TABLE alerts ADD COLUMN audioSize INTEGER');
+    if (!alertsColumnNames.includes('attachments')) await db.exec('ALTER TABLE alerts ADD COLUMN attachments TEXT');
+    if (!alertsColumnNames.includes('units')) await db.exec('ALTER TABLE alerts ADD COLUMN units TEXT');
+
 
+    const respondersColumnNames = (await db.all("PRAGMA table_info(responders)")).map(col => col.name);
+    if (!respondersColumnNames.includes('geohash')) await db.exec('ALTER TABLE responders ADD COLUMN geohash TEXT');
+    // Positions reported before this was recorded are of unknown age, so they count as stale.
+    if (!respondersColumnNames.includes('lastSeen')) await db.exec('ALTER TABLE responders ADD COLUMN lastSeen INTEGER');
+    // Responders that existed before availability was tracked stay dispatchable.
+    if (!respondersColumnNames.includes('availability')) await db.exec("ALTER TABLE responders ADD COLUMN availability TEXT NOT NULL DEFAULT 'available'");
+    if (!respondersColumnNames.includes('currentAlertId')) await db.exec('ALTER TABLE responders ADD COLUMN currentAlertId INTEGER');
+    if (!respondersColumnNames.includes('availabilityChangedAt')) await db.exec('ALTER TABLE responders ADD COLUMN availabilityChangedAt INTEGER');
 
-    const policeInfo = await db.all("PRAGMA table_info(police)");
-    const policeColumnNames = policeInfo.map(col => col.name);
-    if (!policeColumnNames.includes('pushToken')) await db.exec('ALTER TABLE police ADD COLUMN pushToken TEXT');
-    if (!policeColumnNames.includes('locationLat')) await db.exec('ALTER TABLE police ADD COLUMN locationLat REAL');
-    if (!policeColumnNames.includes('locationLng')) await db.exec('ALTER TABLE police ADD COLUMN locationLng REAL');
-    if (!policeColumnNames.includes('department')) await db.exec("ALTER TABLE police ADD COLUMN department TEXT DEFAULT 'Law & Order'");
+    await migrateLegacyResponders(db);
+
+    // Index the positions of responders located before positions were indexed (or just migrated).
+    const unindexed = await db.all('SELECT type, responderId, locationLat, locationLng FROM responders WHERE geohash IS NULL AND locationLat IS NOT NULL AND locationLng IS NOT NULL');
+    for (const { type, responderId, locationLat, locationLng } of unindexed) {
+        await db.run('UPDATE responders SET geohash = ? WHERE type = ? AND responderId = ?', encodePosition(locationLat, locationLng), type, responderId);
+    }
+
+    // The units dispatched to each alert category. Seeded once; admins edit it through the Alerts Service.
+    const { mappings } = await db.get('SELECT COUNT(*) AS mappings FROM category_responder_types');
+    if (mappings === 0) {
+        const insert = 'INSERT INTO category_responder_types (category, responderType, count, maxTargeted) VALUES (?, ?, ?, ?)';
+        for (const row of DEFAULT_CATEGORY_RESPONDER_TYPES) await db.run(insert, row);
+    }
 
     // --- Step 3: Create Indexes ---
     // These are run last to ensure the columns they depend on have been created by the steps above.
     await db.exec(`
         CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+        CREATE INDEX IF NOT EXISTS idx_responders_status ON responders(type, status);
+        CREATE INDEX IF NOT EXISTS idx_responders_geohash ON responders(type, geohash);
+        CREATE INDEX IF NOT EXISTS idx_responders_alert ON responders(currentAlertId);
+        CREATE INDEX IF NOT EXISTS idx_responder_locations_track ON responder_locations(type, responderId, recordedAt);
+        CREATE INDEX IF NOT EXISTS idx_responder_locations_recorded ON responder_locations(recordedAt);
         CREATE INDEX IF NOT EXISTS idx_alerts_geohash ON alerts(geohash);
+        CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts(timestamp, id);
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(userId, role);
+        CREATE INDEX IF NOT EXISTS idx_password_resets_username ON password_resets(username);
+        CREATE INDEX IF NOT EXISTS idx_login_attempts_account ON login_attempts(role, accountId, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_outbox_pending ON outbox(sentAt, id);
+        CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alertId, id);
+        CREATE INDEX IF NOT EXISTS idx_push_deliveries_sent ON push_deliveries(sentAt);
+        CREATE INDEX IF NOT EXISTS idx_alert_messages_alert ON alert_messages(alertId, id);
     `);
 
     console.log(`Database connected at ${dbPath} and tables ensured.`);
     return db;
 }
 
+// SQLite allows one transaction per connection, and any statement sent on the connection while
+// a transaction is open becomes part of it. So transactions are queued and run one at a time, and
+// statements from outside a transaction are held back while one is queued or open. A transaction
+// only begins once the statements already running have finished.
+let transactionQueue = Promise.resolve();
+let pendingTransactions = null; // Settles once no transaction is queued or open.
+let runningStatements = 0;
+let onStatementsDone = null;
+
+async function runStatement(method, args) {
+    while (pendingTransactions) await pendingTransactions;
+    runningStatements++;
+    try {
+        return await db[method](...args);
+    } finally {
+        runningStatements--;
+        if (runningStatements === 0 && onStatementsDone) onStatementsDone();
+    }
+}
+
+function statementsDone() {
+    if (runningStatements === 0) return Promise.resolve();
+    return new Promise(resolve => {
+        onStatementsDone = () => {
+            onStatementsDone = null;
+            resolve();
+        };
+    });
+}
+
+// The shared connection as other modules see it: every statement waits for open transactions.
+const sharedDb = {
+    run: (...args) => runStatement('run', args),
+    get: (...args) => runStatement('get', args),
+    all: (...args) => runStatement('all', args),
+    exec: (...args) => runStatement('exec', args),
+};
+
 /**
  * A getter function to access the database instance from other modules.
- * @returns {Database} The initialized database instance.
+ * @returns {{ run: Function, get: Function, all: Function, exec: Function }} The shared connection.
+ */
+const getDb = () => sharedDb;
+
+/**
+ * Runs `work` inside a transaction, committing if it resolves and rolling back if it throws.
+ * Only the statements `work` sends through the connection it is given are part of the
+ * transaction; other queries wait until it ends, so keep transactional work short.
+ * @param {(db: Database) => Promise<T>} work - The statements to run atomically.
+ * @returns {Promise<T>} The value returned by `work`.
+ * @template T
  */
-const getDb = () => db;
+function withTransaction(work) {
+    const run = transactionQueue.then(async () => {
+        await statementsDone();
+        await db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = await work(db);
+            await db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+    });
+    // Keep the queue moving even if this transaction fails.
+    const queue = run.catch(() => {});
+    transactionQueue = queue;
+    pendingTransactions = queue;
+    queue.then(() => {
+        if (pendingTransactions === queue) pendingTransactions = null;
+    });
+    return run;
+}
 
-module.exports = { setupDatabase, getDb };
\ No newline at end of file
+module.exports = { setupDatabase, getDb, withTransaction };
\ No newline at end of file
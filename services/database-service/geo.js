@@ -0,0 +1,36 @@
+const ngeohash = require('ngeohash');
+const { radiusInDegrees, cellSize } = require('../../shared/geo');
+
+// Responder positions are indexed by geohash at this precision (cells of about 5m x 5m). A
+// radius search reads the cells of a coarser precision, which are prefixes of these.
+const RESPONDER_GEOHASH_PRECISION = 9;
+
+/**
+ * Returns the geohash under which a responder's position is indexed.
+ */
+function encodePosition(lat, lng) {
+    return ngeohash.encode(lat, lng, RESPONDER_GEOHASH_PRECISION);
+}
+
+/**
+ * Returns geohash cells that together contain every point within a radius of a location: the
+ * cell holding the location and its eight neighbours, at the finest precision whose cells are
+ * at least as tall and as wide as the radius. Returns null when the radius is too large for
+ * even the coarsest cells, i.e. when the whole world has to be searched.
+ * @param {{ lat: number, lng: number }} location
+ * @param {number} radiusKm
+ * @returns {string[]|null}
+ */
+function coveringCells(location, radiusKm) {
+    const radius = radiusInDegrees(location, radiusKm);
+    for (let precision = RESPONDER_GEOHASH_PRECISION; precision >= 1; precision--) {
+        const { heightDeg, widthDeg } = cellSize(precision);
+        if (heightDeg >= radius.latDeg && widthDeg >= radius.lngDeg) {
+            const center = ngeohash.encode(location.lat, location.lng, precision);
+            return [...new Set([center, ...ngeohash.neighbors(center)])];
+        }
+    }
+    return null;
+}
+
+module.exports = { encodePosition, coveringCells };
@@ -1,8 +1,23 @@
 const express = require('express');
 const cors = require('cors');
-const { getDb, setupDatabase } = require('./database');
+const { getDb, setupDatabase, withTransaction } = require('./database');
+const { hashPassword, verifyPassword, needsRehash } = require('./passwords');
+const { haversineKm } = require('../../shared/geo');
+const { encodePosition, coveringCells } = require('./geo');
+const { schemas, validateBody } = require('../../shared/schemas');
+const { RESPONDER_TYPES, isResponderRole } = require('../../shared/responders');
 
 const PORT = process.env.PORT || 3008;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+// Fields that can be selected when listing alerts. `location` stands for locationLat/locationLng.
+const ALERT_LIST_FIELDS = ['id', 'citizenId', 'message', 'audioRef', 'audioContentType', 'audioSize', 'location', 'timestamp', 'status', 'category', 'acceptedBy', 'searchRadius', 'timeoutTimestamp', 'targetedOfficers', 'geohash', 'escalationStage', 'escalationHistory', 'attachments', 'units', 'version'];
+// The query parameters of `GET /alerts`.
+const ALERT_LIST_PARAMS = ['status', 'category', 'citizenId', 'acceptedBy', 'since', 'until', 'bbox', 'sort', 'limit', 'cursor', 'fields'];
+const DEFAULT_ALERTS_PAGE_SIZE = 50;
+const MAX_ALERTS_PAGE_SIZE = 200;
+// Alert columns holding JSON-encoded arrays.
+const ALERT_JSON_COLUMNS = ['targetedOfficers', 'escalationHistory', 'attachments', 'units'];
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '10mb' })); // Increased limit for alert audio data
@@ -15,14 +30,237 @@ const DatabaseService = {
         if (newAlert.targetedOfficers) {
             try { newAlert.targetedOfficers = JSON.parse(newAlert.targetedOfficers); } catch (e) { newAlert.targetedOfficers = []; console.log("JSON Parse error", e); }
         }
+        for (const column of ['escalationHistory', 'attachments', 'units']) {
+            if (newAlert[column]) {
+                try { newAlert[column] = JSON.parse(newAlert[column]); } catch (e) { newAlert[column] = []; console.log("JSON Parse error", e); }
+            } else if (column in newAlert) {
+                newAlert[column] = [];
+            }
+        }
         if (newAlert.locationLat && newAlert.locationLng) {
             newAlert.location = { lat: newAlert.locationLat, lng: newAlert.locationLng };
         }
         delete newAlert.locationLat;
         delete newAlert.locationLng;
+        // Legacy inline audio is never sent out; it is served from the media store once migrated.
+        delete newAlert.audioBase64;
         return newAlert;
     },
 
+    // Entries whose details cannot be read are returned without them.
+    _formatAuditEntry(entry) {
+        let details = null;
+        if (entry.details) {
+            try { details = JSON.parse(entry.details); } catch (e) { console.log("JSON Parse error", e); }
+        }
+        return { ...entry, details };
+    },
+
+    /**
+     * Records outgoing events for an alert in the outbox, inside the caller's transaction.
+     * Each event is `{ routingKey, payload?, embedAlertAs? }`:
+     *   - without `payload`, the event carries the alert as written;
+     *   - with `payload` and `embedAlertAs`, the alert is added to the payload under that key;
+     *   - with only `payload`, it is sent as is.
+     * Writes of an alert's chat pass the message or read receipt written in place of the alert.
+     */
+    async _recordEvents(tx, events, alert) {
+        if (!Array.isArray(events)) return;
+        const now = Date.now();
+        for (const event of events) {
+            let payload = event.payload === undefined ? alert : event.payload;
+            if (event.payload !== undefined && event.embedAlertAs) {
+                payload = { ...event.payload, [event.embedAlertAs]: alert };
+            }
+            await tx.run('INSERT INTO outbox (routingKey, payload, createdAt) VALUES (?, ?, ?)', [event.routingKey, JSON.stringify(payload), now]);
+        }
+    },
+
+    /**
+     * Appends entries to an alert's audit trail, inside the caller's transaction.
+     * Each entry is `{ type, actor: { id, role }, details? }`; the status before and after the
+     * write are recorded with it. The trail is append-only and survives the alert's deletion.
+     */
+    async _recordAudit(tx, audit, alertId, fromStatus, toStatus) {
+        if (!Array.isArray(audit)) return;
+        const now = Date.now();
+        for (const entry of audit) {
+            const actor = entry.actor || {};
+            await tx.run(
+                'INSERT INTO alert_events (alertId, type, actorId, actorRole, fromStatus, toStatus, details, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [alertId, entry.type, actor.id || null, actor.role || null, fromStatus, toStatus, entry.details ? JSON.stringify(entry.details) : null, now]
+            );
+        }
+    },
+
+    /**
+     * Translates the query parameters of `GET /alerts` into SQL.
+     * Returns `{ error }` with a message when a parameter is invalid.
+     */
+    _buildAlertListQuery(query) {
+        // A repeated parameter (`?status=new&status=accepted`) arrives as an array, and `status[a]=` as an object.
+        const repeated = ALERT_LIST_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+        if (repeated) return { error: `${repeated} must be given once, as a single value.` };
+
+        const { status, category, citizenId, acceptedBy, since, until, bbox, sort = '-timestamp', cursor, fields } = query;
+        const where = ['deletedAt IS NULL'];
+        const params = [];
+
+        if (status) {
+            const statuses = status.split(',');
+            where.push(`status IN (${statuses.map(() => '?').join(',')})`);
+            params.push(...statuses);
+        }
+        for (const [column, value] of [['category', category], ['citizenId', citizenId], ['acceptedBy', acceptedBy]]) {
+            if (value) {
+                where.push(`${column} = ?`);
+                params.push(value);
+            }
+        }
+        for (const [name, value, operator] of [['since', since, '>='], ['until', until, '<=']]) {
+            if (value === undefined) continue;
+            if (!/^\d+$/.test(value)) return { error: `${name} must be a timestamp in milliseconds.` };
+            where.push(`timestamp ${operator} ?`);
+            params.push(Number(value));
+        }
+        if (bbox) {
+            const corners = bbox.split(',').map(Number);
+            if (corners.length !== 4 || corners.some(n => !Number.isFinite(n))) {
+                return { error: 'bbox must be minLat,minLng,maxLat,maxLng.' };
+            }
+            const [minLat, minLng, maxLat, maxLng] = corners;
+            where.push('locationLat BETWEEN ? AND ?', 'locationLng BETWEEN ? AND ?');
+            params.push(minLat, maxLat, minLng, maxLng);
+        }
+
+        if (!['timestamp', '-timestamp'].includes(sort)) return { error: 'sort must be timestamp or -timestamp.' };
+        const direction = sort === '-timestamp' ? 'DESC' : 'ASC';
+
+        const limit = query.limit === undefined ? DEFAULT_ALERTS_PAGE_SIZE : parseInt(query.limit, 10);
+        if (!(limit > 0)) return { error: 'limit must be a positive integer.' };
+
+        // The cursor is the (timestamp, id) of the last alert on the previous page.
+        if (cursor) {
+            let position;
+            try {
+                position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            } catch (e) {
+                return { error: 'Invalid cursor.' };
+            }
+            if (!position || typeof position !== 'object' || Array.isArray(position)
+                || !Number.isInteger(position.timestamp) || !Number.isInteger(position.id)) {
+                return { error: 'Invalid cursor.' };
+            }
+            const operator = direction === 'DESC' ? '<' : '>';
+            where.push(`(timestamp ${operator} ? OR (timestamp = ? AND id ${operator} ?))`);
+            params.push(position.timestamp, position.timestamp, position.id);
+        }
+
+        const selected = fields ? fields.split(',') : ALERT_LIST_FIELDS;
+        const unknown = selected.filter(field => !ALERT_LIST_FIELDS.includes(field));
+        if (unknown.length > 0) return { error: `Unknown fields: ${unknown.join(', ')}.` };
+        // id and timestamp are always read, since the cursor is built from them.
+        const columns = new Set(['id', 'timestamp']);
+        for (const field of selected) {
+            if (field === 'location') columns.add('locationLat').add('locationLng');
+            else columns.add(field);
+        }
+
+        return {
+            sql: `SELECT ${[...columns].join(', ')} FROM alerts WHERE ${where.join(' AND ')} ORDER BY timestamp ${direction}, id ${direction} LIMIT ?`,
+            params: [...params, Math.min(limit, MAX_ALERTS_PAGE_SIZE) + 1],
+            limit: Math.min(limit, MAX_ALERTS_PAGE_SIZE),
+            selected,
+        };
+    },
+
+    // --- Helper for stripping secrets from responder rows before sending them out ---
+    // The badge or unit number is also returned under the type's usual name, e.g. `badgeNumber`.
+    _formatResponder(responder) {
+        if (!responder) return null;
+        const { passwordHash, responderId, capabilities, ...rest } = responder;
+        let parsedCapabilities = [];
+        if (capabilities) {
+            try { parsedCapabilities = JSON.parse(capabilities); } catch (e) { console.log("JSON Parse error", e); }
+        }
+        return {
+            ...rest,
+            id: responderId,
+            [RESPONDER_TYPES[responder.type].idField]: responderId,
+            capabilities: parsedCapabilities,
+            hasCredentials: !!passwordHash,
+        };
+    },
+
+    // Responds 404 to responder routes for types that do not exist.
+    _requireResponderType(req, res, next) {
+        if (!isResponderRole(req.params.type)) return res.status(404).json({ message: `Unknown responder type '${req.params.type}'.` });
+        next();
+    },
+
+    /**
+     * Verifies a responder's credentials and account status, recording the attempt.
+     * Responds 401 for bad credentials, 403 for accounts that are not active and 429 when the
+     * account has too many recent failures.
+     */
+    async _responderLogin(res, type, accountId, password, ipAddress) {
+        const db = getDb();
+        const now = Date.now();
+        const recordAttempt = (succeeded, reason) => db.run(
+            'INSERT INTO login_attempts (role, accountId, succeeded, reason, ipAddress, timestamp) VALUES (?, ?, ?, ?, ?, ?)',
+            [type, String(accountId), succeeded ? 1 : 0, reason, ipAddress || null, now]
+        );
+
+        const { failures } = await db.get(
+            'SELECT COUNT(*) AS failures FROM login_attempts WHERE role = ? AND accountId = ? AND succeeded = 0 AND timestamp > ?',
+            [type, String(accountId), now - LOGIN_LOCKOUT_WINDOW_MS]
+        );
+        if (failures >= MAX_FAILED_LOGINS) {
+            await recordAttempt(false, 'locked_out');
+            return res.status(429).json({ message: 'Too many failed login attempts. Try again later.' });
+        }
+
+        const account = await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', type, accountId);
+        if (account && !account.passwordHash) {
+            await recordAttempt(false, 'no_credentials');
+            return res.status(401).json({ message: 'No credentials are set for this account. Ask a supervisor to set them.' });
+        }
+        if (!(await verifyPassword(password, account && account.passwordHash))) {
+            await recordAttempt(false, account ? 'invalid_password' : 'unknown_account');
+            return res.status(401).json({ message: 'Invalid credentials.' });
+        }
+        if (account.status !== 'active') {
+            await recordAttempt(false, `account_${account.status}`);
+            return res.status(403).json({ message: `Account is ${account.status}.`, status: account.status });
+        }
+
+        if (needsRehash(account.passwordHash)) {
+            await db.run('UPDATE responders SET passwordHash = ? WHERE type = ? AND responderId = ?', await hashPassword(password), type, accountId);
+        }
+        await recordAttempt(true, null);
+        res.json(this._formatResponder(account));
+    },
+
+    async _updateResponderAccount(res, type, accountId, { status, accessLevel }) {
+        const db = getDb();
+        const account = await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', type, accountId);
+        if (!account) return res.status(404).json({ message: 'Account not found.' });
+
+        await db.run(
+            'UPDATE responders SET status = ?, accessLevel = ? WHERE type = ? AND responderId = ?',
+            [status || account.status, accessLevel || account.accessLevel, type, accountId]
+        );
+        const updated = await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', type, accountId);
+        res.json(this._formatResponder(updated));
+    },
+
+    async _setResponderCredentials(res, type, accountId, password) {
+        const db = getDb();
+        const result = await db.run('UPDATE responders SET passwordHash = ? WHERE type = ? AND responderId = ?', await hashPassword(password), type, accountId);
+        if (result.changes === 0) return res.status(404).json({ message: 'Account not found.' });
+        res.status(204).send();
+    },
+
     async initialize() {
         await setupDatabase();
         const db = getDb();
@@ -31,68 +269,269 @@ const DatabaseService = {
 
         // --- ALERTS API ---
 
+        // Lists alerts one page at a time, newest first by default. See `_buildAlertListQuery` for the
+        // supported filters. Pass the returned `nextCursor` as `cursor` to get the next page.
+        // Deleted alerts are kept for the audit trail but hidden from every listing.
         app.get('/alerts', async (req, res) => {
-            const alertsRaw = await db.all('SELECT * FROM alerts ORDER BY timestamp DESC');
+            try {
+                const query = this._buildAlertListQuery(req.query);
+                if (query.error) return res.status(400).json({ message: query.error });
+
+                const rows = await db.all(query.sql, query.params);
+                const page = rows.slice(0, query.limit);
+                const last = page[page.length - 1];
+                const nextCursor = rows.length > query.limit
+                    ? Buffer.from(JSON.stringify({ timestamp: last.timestamp, id: last.id })).toString('base64url')
+                    : null;
+
+                const alerts = page.map(row => {
+                    const alert = this._formatAlert(row);
+                    if (!query.selected.includes('id')) delete alert.id;
+                    if (!query.selected.includes('timestamp')) delete alert.timestamp;
+                    return alert;
+                });
+                res.json({ alerts, nextCursor });
+            } catch (error) {
+                console.error('Error listing alerts:', error);
+                res.status(500).json({ message: 'Failed to list alerts.' });
+            }
+        });
+
+        // Unaccepted alerts whose current escalation stage has run out. The Alerts Service decides
+        // whether each one escalates to a wider radius or times out.
+        app.get('/alerts/due-for-escalation', async (req, res) => {
+            const alertsRaw = await db.all('SELECT * FROM alerts WHERE status = ? AND timeoutTimestamp <= ? AND deletedAt IS NULL ORDER BY timeoutTimestamp', ['new', Date.now()]);
             res.json(alertsRaw.map(this._formatAlert));
         });
 
+        // Alerts that still carry inline base64 audio, for the Alerts Service to move into the media
+        // store. Includes deleted alerts.
+        app.get('/alerts/legacy-audio', async (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+            const rows = await db.all('SELECT id, audioBase64 FROM alerts WHERE audioBase64 IS NOT NULL ORDER BY id LIMIT ?', limit);
+            res.json(rows);
+        });
+
+        // `?includeDeleted=true` also returns a deleted alert, e.g. for its history.
         app.get('/alerts/:id', async (req, res) => {
-            const alertRaw = await db.get('SELECT * FROM alerts WHERE id = ?', req.params.id);
+            const alertRaw = req.query.includeDeleted === 'true'
+                ? await db.get('SELECT * FROM alerts WHERE id = ?', req.params.id)
+                : await db.get('SELECT * FROM alerts WHERE id = ? AND deletedAt IS NULL', req.params.id);
             res.json(this._formatAlert(alertRaw));
         });
 
+        app.get('/alerts/:id/history', async (req, res) => {
+            try {
+                const entries = await db.all('SELECT * FROM alert_events WHERE alertId = ? ORDER BY id', req.params.id);
+                res.json(entries.map(this._formatAuditEntry));
+            } catch (error) {
+                console.error(`Error fetching the history of alert #${req.params.id}:`, error);
+                res.status(500).json({ message: 'Failed to retrieve alert history.' });
+            }
+        });
+
+        // --- ALERT CHAT ---
+        // Each alert has one thread between the citizen who raised it and the responders who accepted it.
+        // `reads` holds, per participant, the last message they read.
+        app.get('/alerts/:id/messages', async (req, res) => {
+            const after = parseInt(req.query.after, 10) || 0;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+            const messages = await db.all('SELECT * FROM alert_messages WHERE alertId = ? AND id > ? ORDER BY id LIMIT ?', [req.params.id, after, limit]);
+            const reads = await db.all('SELECT * FROM alert_message_reads WHERE alertId = ? ORDER BY readAt', req.params.id);
+            res.json({ messages, reads });
+        });
+
+        // Only alerts that are still open take new messages. The status is checked in the insert
+        // itself, so a message cannot slip in after the alert is closed.
+        app.post('/alerts/:id/messages', validateBody(schemas.alert.storedMessage, { passthrough: ['events'] }), async (req, res) => {
+            const alertId = parseInt(req.params.id, 10);
+            const { senderId, senderRole, body, events } = req.body;
+            const message = await withTransaction(async (tx) => {
+                const result = await tx.run(
+                    `INSERT INTO alert_messages (alertId, senderId, senderRole, body, createdAt)
+                     SELECT id, ?, ?, ?, ? FROM alerts WHERE id = ? AND status IN ('new', 'accepted') AND deletedAt IS NULL`,
+                    [senderId, senderRole, body, Date.now(), alertId]
+                );
+                if (result.changes === 0) return null;
+                const created = await tx.get('SELECT * FROM alert_messages WHERE id = ?', result.lastID);
+                await this._recordEvents(tx, events, created);
+                return created;
+            });
+            if (!message) return res.status(409).json({ message: 'This alert is closed and no longer takes messages.' });
+            res.status(201).json(message);
+        });
+
+        // Read receipts only move forward: marking an older message read changes nothing.
+        app.post('/alerts/:id/messages/read', validateBody(schemas.alert.storedMessageRead, { passthrough: ['events'] }), async (req, res) => {
+            const alertId = parseInt(req.params.id, 10);
+            const { readerId, readerRole, messageId, events } = req.body;
+            const receipt = await withTransaction(async (tx) => {
+                const message = await tx.get('SELECT id FROM alert_messages WHERE id = ? AND alertId = ?', [messageId, alertId]);
+                if (!message) return null;
+                const result = await tx.run(
+                    `INSERT INTO alert_message_reads (alertId, readerId, readerRole, messageId, readAt) VALUES (?, ?, ?, ?, ?)
+                     ON CONFLICT (alertId, readerRole, readerId) DO UPDATE SET messageId = excluded.messageId, readAt = excluded.readAt
+                     WHERE excluded.messageId > alert_message_reads.messageId`,
+                    [alertId, readerId, readerRole, messageId, Date.now()]
+                );
+                const current = await tx.get('SELECT * FROM alert_message_reads WHERE alertId = ? AND readerRole = ? AND readerId = ?', [alertId, readerRole, readerId]);
+                if (result.changes > 0) await this._recordEvents(tx, events, current);
+                return current;
+            });
+            if (!receipt) return res.status(404).json({ message: 'Message not found.' });
+            res.json(receipt);
+        });
+
         app.post('/alerts/by-geohashes', async (req, res) => {
             const { geohashes } = req.body;
             if (!geohashes || geohashes.length === 0) return res.json([]);
             const placeholders = geohashes.map(() => '?').join(',');
             // Only retrieve active alerts for initial load
-            const alertsRaw = await db.all(`SELECT * FROM alerts WHERE geohash IN (${placeholders}) AND status IN ('new', 'accepted') ORDER BY timestamp DESC`, geohashes);
+            const alertsRaw = await db.all(`SELECT * FROM alerts WHERE geohash IN (${placeholders}) AND status IN ('new', 'accepted') AND deletedAt IS NULL ORDER BY timestamp DESC`, geohashes);
             res.json(alertsRaw.map(this._formatAlert));
         });
 
-        app.post('/alerts/find-and-update-timeouts', async (req, res) => {
-            const now = Date.now();
-            const timedOutAlertsRaw = await db.all('SELECT * FROM alerts WHERE status = ? AND timeoutTimestamp <= ?', ['new', now]);
-            if (timedOutAlertsRaw.length > 0) {
-                const ids = timedOutAlertsRaw.map(a => a.id);
-                const placeholders = ids.map(() => '?').join(',');
-                await db.run(`UPDATE alerts SET status = 'timed_out' WHERE id IN (${placeholders})`, ids);
-                res.json({ updatedCount: ids.length, timedOutAlerts: timedOutAlertsRaw.map(this._formatAlert) });
-            } else {
-                res.json({ updatedCount: 0, timedOutAlerts: [] });
+        // Alert writes accept an optional `events` array. Each event is recorded in the outbox in the
+        // same transaction as the write, so an alert change and its notifications can never diverge.
+        // See `_recordEvents` for the event format. Likewise, the optional `audit` array is appended
+        // to the alert's audit trail, see `_recordAudit`. All other fields must be declared by the
+        // alert schema in `shared/schemas.js`.
+        app.post('/alerts', validateBody(schemas.alert.create, { passthrough: ['events', 'audit'] }), async (req, res) => {
+            const { citizenId, message, audioRef, audioContentType, audioSize, attachments, locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash, searchRadius, escalationStage, events, audit } = req.body;
+            const newAlert = await withTransaction(async (tx) => {
+                const result = await tx.run(
+                    'INSERT INTO alerts (citizenId, message, audioRef, audioContentType, audioSize, attachments, locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash, searchRadius, escalationStage) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [citizenId, message, audioRef, audioContentType, audioSize, JSON.stringify(attachments || []), locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash, searchRadius, escalationStage || 0]
+                );
+                const alert = this._formatAlert(await tx.get('SELECT * FROM alerts WHERE id = ?', result.lastID));
+                await this._recordEvents(tx, events, alert);
+                await this._recordAudit(tx, audit, alert.id, null, alert.status);
+                return alert;
+            });
+            res.status(201).json(newAlert);
+        });
+
+        // Every update increments the alert's `version`. If `expectedVersion` is given, the update only
+        // applies to that version of the alert; when it has changed in the meantime, nothing is
+        // written and 409 is returned with the current alert, so the caller can re-evaluate.
+        app.put('/alerts/:id', validateBody(schemas.alert.update, { partial: true, passthrough: ['events', 'audit', 'expectedVersion'] }), async (req, res) => {
+            const { id } = req.params;
+            const { events, audit, expectedVersion, ...fields } = req.body;
+            if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+                return res.status(400).json({ message: 'Invalid request.', errors: [{ field: 'expectedVersion', message: 'Must be an integer.' }] });
+            }
+            // Only columns declared by the schema get here, so they are safe to use as identifiers.
+            const setClauses = [...Object.keys(fields).map(key => `${key} = ?`), 'version = version + 1'].join(', ');
+            const values = Object.entries(fields).map(([key, value]) => (ALERT_JSON_COLUMNS.includes(key) ? JSON.stringify(value) : value));
+            const result = await withTransaction(async (tx) => {
+                const previous = await tx.get('SELECT status FROM alerts WHERE id = ? AND deletedAt IS NULL', id);
+                if (!previous) return { notFound: true };
+                const update = expectedVersion !== undefined
+                    ? await tx.run(`UPDATE alerts SET ${setClauses} WHERE id = ? AND version = ?`, [...values, id, expectedVersion])
+                    : await tx.run(`UPDATE alerts SET ${setClauses} WHERE id = ?`, [...values, id]);
+                const alert = this._formatAlert(await tx.get('SELECT * FROM alerts WHERE id = ?', id));
+                if (update.changes === 0) return { conflict: true, alert };
+                await this._recordEvents(tx, events, alert);
+                await this._recordAudit(tx, audit, alert.id, previous.status, alert.status);
+                return { alert };
+            });
+            if (result.notFound) {
+                return res.status(404).json({ message: 'Alert not found.' });
             }
+            if (result.conflict) {
+                return res.status(409).json({ message: 'Alert was modified concurrently.', alert: result.alert });
+            }
+            res.json(result.alert);
         });
 
-        app.post('/alerts', async (req, res) => {
-            const { citizenId, message, audioBase64, locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash } = req.body;
+        // Points an alert at audio in the media store and drops its legacy inline audio. This is not
+        // a change to the alert itself, so it does not bump the version and also applies to deleted alerts.
+        app.put('/alerts/:id/audio', validateBody(schemas.alert.audio), async (req, res) => {
+            const { audioRef, audioContentType, audioSize } = req.body;
             const result = await db.run(
-                'INSERT INTO alerts (citizenId, message, audioBase64, locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-                [citizenId, message, audioBase64, locationLat, locationLng, timestamp, status, timeoutTimestamp, geohash]
+                'UPDATE alerts SET audioRef = ?, audioContentType = ?, audioSize = ?, audioBase64 = NULL WHERE id = ?',
+                [audioRef, audioContentType, audioSize, req.params.id]
             );
-            const newAlertRaw = await db.get('SELECT * FROM alerts WHERE id = ?', result.lastID);
-            res.status(201).json(this._formatAlert(newAlertRaw));
+            if (result.changes === 0) return res.status(404).json({ message: 'Alert not found.' });
+            res.status(204).send();
         });
 
-        app.put('/alerts/:id', async (req, res) => {
-            const { id } = req.params;
-            const fields = req.body;
-            const setClauses = Object.keys(fields).map(key => `${key} = ?`).join(', ');
-            const values = Object.values(fields);
-            await db.run(`UPDATE alerts SET ${setClauses} WHERE id = ?`, [...values, id]);
-            const updatedAlertRaw = await db.get('SELECT * FROM alerts WHERE id = ?', id);
-            res.json(this._formatAlert(updatedAlertRaw));
+        // Deleting only marks the alert as deleted, so its audit trail stays complete.
+        app.delete('/alerts/:id', async (req, res) => {
+            const { events, audit } = req.body || {};
+            const deleted = await withTransaction(async (tx) => {
+                const previous = await tx.get('SELECT * FROM alerts WHERE id = ? AND deletedAt IS NULL', req.params.id);
+                if (!previous) return false;
+                await tx.run('UPDATE alerts SET deletedAt = ?, version = version + 1 WHERE id = ?', [Date.now(), req.params.id]);
+                await this._recordEvents(tx, events, this._formatAlert(previous));
+                await this._recordAudit(tx, audit, previous.id, previous.status, previous.status);
+                return true;
+            });
+            if (!deleted) return res.status(404).json({ message: 'Alert not found.' });
+            res.status(204).send();
         });
 
-        app.delete('/alerts/:id', async (req, res) => {
-            await db.run('DELETE FROM alerts WHERE id = ?', req.params.id);
+        // --- PUSH DELIVERIES API ---
+        // The push tokens already notified of an alert, so the Notifications Service can retry a
+        // partly failed delivery without notifying the same device twice.
+        app.post('/alerts/:id/push-deliveries/lookup', async (req, res) => {
+            const pushTokens = Array.isArray(req.body.pushTokens) ? req.body.pushTokens : [];
+            if (pushTokens.length === 0) return res.json({ delivered: [] });
+            const rows = await db.all(
+                `SELECT pushToken FROM push_deliveries WHERE alertId = ? AND pushToken IN (${pushTokens.map(() => '?').join(', ')})`,
+                [req.params.id, ...pushTokens]
+            );
+            res.json({ delivered: rows.map(row => row.pushToken) });
+        });
+
+        app.post('/alerts/:id/push-deliveries', async (req, res) => {
+            const pushTokens = Array.isArray(req.body.pushTokens) ? req.body.pushTokens : [];
+            const now = Date.now();
+            for (const pushToken of pushTokens) {
+                await db.run('INSERT OR IGNORE INTO push_deliveries (alertId, pushToken, sentAt) VALUES (?, ?, ?)', [req.params.id, pushToken, now]);
+            }
+            res.status(204).send();
+        });
+
+        app.post('/push-deliveries/purge', async (req, res) => {
+            // Only needed while the event that sent them may still be retried.
+            const olderThan = Date.now() - (req.body.retentionMs || 7 * 24 * 60 * 60 * 1000);
+            const result = await db.run('DELETE FROM push_deliveries WHERE sentAt < ?', olderThan);
+            res.json({ purgedCount: result.changes });
+        });
+
+        // --- OUTBOX API ---
+        // Used by the outbox relay to deliver recorded events to the message queue in order.
+        app.get('/outbox/pending', async (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const events = await db.all('SELECT * FROM outbox WHERE sentAt IS NULL ORDER BY id LIMIT ?', limit);
+            res.json(events);
+        });
+
+        app.post('/outbox/:id/sent', async (req, res) => {
+            await db.run('UPDATE outbox SET sentAt = ?, attempts = attempts + 1, lastError = NULL WHERE id = ?', [Date.now(), req.params.id]);
+            res.status(204).send();
+        });
+
+        app.post('/outbox/:id/failed', async (req, res) => {
+            await db.run('UPDATE outbox SET attempts = attempts + 1, lastError = ? WHERE id = ?', [req.body.error || null, req.params.id]);
             res.status(204).send();
         });
 
+        app.post('/outbox/purge', async (req, res) => {
+            // Delivered events are only kept for a while for troubleshooting.
+            const olderThan = Date.now() - (req.body.retentionMs || 7 * 24 * 60 * 60 * 1000);
+            const result = await db.run('DELETE FROM outbox WHERE sentAt IS NOT NULL AND sentAt < ?', olderThan);
+            res.json({ purgedCount: result.changes });
+        });
+
         // --- CITIZENS API ---
-        app.post('/citizens/register', async (req, res) => {
+        // Passwords are stored as salted scrypt hashes. Rows created before hashing was introduced
+        // still hold plaintext and are rehashed on the next successful login.
+        app.post('/citizens/register', validateBody(schemas.citizen.register), async (req, res) => {
             try {
                 const { username, password } = req.body;
-                await db.run('INSERT INTO citizens (username, password) VALUES (?, ?)', username, password);
+                await db.run('INSERT INTO citizens (username, password) VALUES (?, ?)', username, await hashPassword(password));
                 res.status(201).json({ username });
             } catch (error) {
                 if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'Username already exists.' });
@@ -102,95 +541,345 @@ const DatabaseService = {
 
         app.post('/citizens/login', async (req, res) => {
             const { username, password } = req.body;
-            const user = await db.get('SELECT * FROM citizens WHERE username = ? AND password = ?', username, password);
-            if (user) res.json({ username: user.username });
-            else res.status(401).json({ message: 'Invalid username or password.' });
+            const user = await db.get('SELECT * FROM citizens WHERE username = ?', username);
+            if (!(await verifyPassword(password, user && user.password))) {
+                return res.status(401).json({ message: 'Invalid username or password.' });
+            }
+            if (needsRehash(user.password)) {
+                await db.run('UPDATE citizens SET password = ? WHERE username = ?', await hashPassword(password), user.username);
+                console.log(`[DB] Upgraded password hash for citizen ${user.username}.`);
+            }
+            res.json({ username: user.username });
         });
 
-        // --- POLICE API ---
-        app.get('/police', async (req, res) => {
-            const officers = await db.all('SELECT * FROM police WHERE locationLat IS NOT NULL');
-            res.json(officers);
+        app.put('/citizens/:username/password', validateBody(schemas.citizen.changePassword), async (req, res) => {
+            const { username } = req.params;
+            const { currentPassword, newPassword } = req.body;
+            const user = await db.get('SELECT * FROM citizens WHERE username = ?', username);
+            if (!(await verifyPassword(currentPassword, user && user.password))) {
+                return res.status(401).json({ message: 'Current password is incorrect.' });
+            }
+            await db.run('UPDATE citizens SET password = ? WHERE username = ?', await hashPassword(newPassword), username);
+            res.status(204).send();
         });
 
-        app.post('/police/by-badges', async (req, res) => {
-            const { badgeNumbers } = req.body;
-            if (!badgeNumbers || badgeNumbers.length === 0) return res.json([]);
-            const placeholders = badgeNumbers.map(() => '?').join(',');
-            const officers = await db.all(`SELECT * FROM police WHERE badgeNumber IN (${placeholders})`, badgeNumbers);
-            res.json(officers);
+        // --- PASSWORD RESETS API ---
+        app.post('/password-resets', async (req, res) => {
+            const { username, tokenHash, expiresAt } = req.body;
+            const user = await db.get('SELECT username FROM citizens WHERE username = ?', username);
+            if (!user) return res.status(404).json({ message: 'Citizen not found.' });
+
+            const now = Date.now();
+            // Only the most recently issued reset token is valid.
+            await db.run('UPDATE password_resets SET usedAt = ? WHERE username = ? AND usedAt IS NULL', [now, username]);
+            await db.run(
+                'INSERT INTO password_resets (tokenHash, username, createdAt, expiresAt) VALUES (?, ?, ?, ?)',
+                [tokenHash, username, now, expiresAt]
+            );
+            res.status(201).json({ username });
         });
 
-        app.post('/police/register', async (req, res) => {
-            try {
-                const { name, designation, badgeNumber, phoneNumber, department } = req.body;
-                await db.run('INSERT INTO police (name, designation, badgeNumber, phoneNumber, department) VALUES (?, ?, ?, ?, ?)', name, designation, badgeNumber, phoneNumber, department || 'Law & Order');
-                res.status(201).json(req.body);
-            } catch (error) {
-                if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: 'Badge number already registered.' });
-                res.status(500).json({ message: 'Police registration failed.' });
+        app.post('/password-resets/consume', validateBody(schemas.citizen.resetPassword), async (req, res) => {
+            const { tokenHash, newPassword } = req.body;
+            const now = Date.now();
+            const reset = await db.get('SELECT * FROM password_resets WHERE tokenHash = ?', tokenHash);
+            if (!reset || reset.usedAt || reset.expiresAt <= now) {
+                return res.status(400).json({ message: 'Reset token is invalid or has expired.' });
             }
+            // Claim the token first so that concurrent requests cannot use it twice.
+            const claim = await db.run('UPDATE password_resets SET usedAt = ? WHERE tokenHash = ? AND usedAt IS NULL', [now, tokenHash]);
+            if (claim.changes === 0) {
+                return res.status(400).json({ message: 'Reset token is invalid or has expired.' });
+            }
+            await db.run('UPDATE citizens SET password = ? WHERE username = ?', await hashPassword(newPassword), reset.username);
+            res.json({ username: reset.username });
         });
 
-        app.post('/police/login', async (req, res) => {
-            const { badgeNumber } = req.body;
-            const officer = await db.get('SELECT * FROM police WHERE badgeNumber = ?', badgeNumber);
-            if (officer) res.json(officer);
-            else res.status(401).json({ message: 'Invalid badge number.' });
+        // --- REFRESH TOKENS API ---
+        // Only token hashes are stored. A row with `revokedAt` set is on the revocation list.
+        app.post('/refresh-tokens', async (req, res) => {
+            const { tokenHash, userId, role, department, expiresAt } = req.body;
+            await db.run(
+                'INSERT INTO refresh_tokens (tokenHash, userId, role, department, issuedAt, expiresAt) VALUES (?, ?, ?, ?, ?, ?)',
+                [tokenHash, userId, role, department, Date.now(), expiresAt]
+            );
+            res.status(201).json({ tokenHash });
         });
 
-        app.put('/police/:badgeNumber/pushtoken', async (req, res) => {
-            const { badgeNumber } = req.params;
-            const { token } = req.body;
-            await db.run('UPDATE police SET pushToken = ? WHERE badgeNumber = ?', token, badgeNumber);
-            res.status(204).send();
+        app.get('/refresh-tokens/:tokenHash', async (req, res) => {
+            const token = await db.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', req.params.tokenHash);
+            if (token) res.json(token);
+            else res.status(404).json({ message: 'Refresh token not found.' });
         });
 
-        app.put('/police/:badgeNumber/location', async (req, res) => {
-            const { badgeNumber } = req.params;
-            const { location } = req.body;
-            await db.run('UPDATE police SET locationLat = ?, locationLng = ? WHERE badgeNumber = ?', location.lat, location.lng, badgeNumber);
+        app.put('/refresh-tokens/:tokenHash/revoke', async (req, res) => {
+            const { replacedBy } = req.body;
+            await db.run(
+                'UPDATE refresh_tokens SET revokedAt = ?, replacedBy = ? WHERE tokenHash = ? AND revokedAt IS NULL',
+                [Date.now(), replacedBy || null, req.params.tokenHash]
+            );
             res.status(204).send();
         });
 
-        // --- FIREFIGHTERS API ---
-        app.get('/firefighters', async (req, res) => {
-            const firefighters = await db.all('SELECT * FROM firefighters WHERE locationLat IS NOT NULL');
-            res.json(firefighters);
+        app.post('/refresh-tokens/revoke-all', async (req, res) => {
+            const { userId, role } = req.body;
+            const result = await db.run(
+                'UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND role = ? AND revokedAt IS NULL',
+                [Date.now(), userId, role]
+            );
+            res.json({ revokedCount: result.changes });
+        });
+
+        // --- RESPONDERS API ---
+        // Every responder type (see `shared/responders.js`) shares one table and one set of routes.
+
+        // Lists the responders that have reported a location, optionally only those of one type.
+        app.get('/responders', async (req, res) => {
+            const { type } = req.query;
+            if (type && !isResponderRole(type)) return res.status(400).json({ message: `Unknown responder type '${type}'.` });
+            const responders = type
+                ? await db.all('SELECT * FROM responders WHERE type = ? AND locationLat IS NOT NULL', type)
+                : await db.all('SELECT * FROM responders WHERE locationLat IS NOT NULL');
+            res.json(responders.map(this._formatResponder));
         });
 
-        app.post('/firefighters/by-units', async (req, res) => {
-            const { unitNumbers } = req.body;
-            if (!unitNumbers || unitNumbers.length === 0) {
-                return res.json([]);
+        // Finds the located responders of some types within a radius, closest first, each with its
+        // `distanceKm`. Only the geohash cells covering the radius are read, see `geo.js`.
+        app.post('/responders/nearby', validateBody(schemas.responder.nearby), async (req, res) => {
+            const { location, radiusKm, types, capabilities = [], excludeIds = [], availability, seenSince, limit } = req.body;
+            if (types.length === 0) return res.json([]);
+            const cells = coveringCells(location, radiusKm);
+            const conditions = [];
+            const params = [];
+            for (const type of types) {
+                if (!cells) {
+                    conditions.push('(type = ? AND geohash IS NOT NULL)');
+                    params.push(type);
+                    continue;
+                }
+                // Every position in a cell has a geohash starting with the cell's; '{' sorts right after 'z'.
+                for (const cell of cells) {
+                    conditions.push('(type = ? AND geohash >= ? AND geohash < ?)');
+                    params.push(type, cell, `${cell}{`);
+                }
+            }
+            let where = `(${conditions.join(' OR ')})`;
+            if (availability) {
+                where += ` AND availability IN (${availability.map(() => '?').join(',')})`;
+                params.push(...availability);
+            }
+            if (seenSince !== undefined) {
+                where += ' AND lastSeen >= ?';
+                params.push(seenSince);
+            }
+            const candidates = await db.all(`SELECT * FROM responders WHERE ${where}`, params);
+
+            const excluded = new Set(excludeIds);
+            const nearby = [];
+            for (const row of candidates) {
+                const responder = this._formatResponder(row);
+                if (excluded.has(responder.id)) continue;
+                if (!capabilities.every(capability => responder.capabilities.includes(capability))) continue;
+                const distanceKm = haversineKm(location, { lat: row.locationLat, lng: row.locationLng });
+                if (distanceKm <= radiusKm) nearby.push({ ...responder, distanceKm });
             }
-            const placeholders = unitNumbers.map(() => '?').join(',');
-            const firefighters = await db.all(`SELECT * FROM firefighters WHERE unitNumber IN (${placeholders})`, unitNumbers);
-            res.json(firefighters);
+            nearby.sort((a, b) => a.distanceKm - b.distanceKm);
+            res.json(limit === undefined ? nearby : nearby.slice(0, limit));
         });
 
-        app.post('/firefighters/login', async (req, res) => {
-            const { unitNumber } = req.body;
-            let firefighter = await db.get('SELECT * FROM firefighters WHERE unitNumber = ?', unitNumber);
-            if (!firefighter) {
-                await db.run('INSERT INTO firefighters (unitNumber, department) VALUES (?, ?)', unitNumber, 'Fire & Rescue');
-                firefighter = await db.get('SELECT * FROM firefighters WHERE unitNumber = ?', unitNumber);
+        // Lists the responders of every type located in any of some geohash cells, e.g. those a WebSocket client watches.
+        app.post('/responders/by-geohashes', async (req, res) => {
+            const { geohashes } = req.body;
+            if (!Array.isArray(geohashes) || geohashes.length === 0) return res.json([]);
+            const conditions = geohashes.map(() => '(geohash >= ? AND geohash < ?)').join(' OR ');
+            const rows = await db.all(`SELECT * FROM responders WHERE ${conditions}`, geohashes.flatMap(cell => [cell, `${cell}{`]));
+            res.json(rows.map(this._formatResponder));
+        });
+
+        // Looks up several responders at once, e.g. those targeted for an alert. Unknown ones are left out.
+        app.post('/responders/lookup', validateBody(schemas.responder.lookup), async (req, res) => {
+            const { responders } = req.body;
+            if (responders.length === 0) return res.json([]);
+            const conditions = responders.map(() => '(type = ? AND responderId = ?)').join(' OR ');
+            const rows = await db.all(`SELECT * FROM responders WHERE ${conditions}`, responders.flatMap(({ type, id }) => [type, id]));
+            res.json(rows.map(this._formatResponder));
+        });
+
+        // `id` finds the accounts of every type with that badge or unit number.
+        app.get('/responders/accounts', async (req, res) => {
+            const { type, status, id } = req.query;
+            const where = [];
+            const params = [];
+            for (const [column, value] of [['type', type], ['status', status], ['responderId', id]]) {
+                if (value) {
+                    where.push(`${column} = ?`);
+                    params.push(value);
+                }
             }
-            res.json(firefighter);
+            const accounts = await db.all(
+                `SELECT * FROM responders ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY type, responderId`,
+                params
+            );
+            res.json(accounts.map(this._formatResponder));
         });
 
-        app.put('/firefighters/:unitNumber/pushtoken', async (req, res) => {
-            const { unitNumber } = req.params;
+        app.get('/responders/:type/:id', this._requireResponderType, async (req, res) => {
+            const responder = await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', req.params.type, req.params.id);
+            if (responder) res.json(this._formatResponder(responder));
+            else res.status(404).json({ message: 'Responder not found.' });
+        });
+
+        app.post('/responders/:type/register', this._requireResponderType, validateBody(schemas.responder.register), async (req, res) => {
+            const { type } = req.params;
+            const { id, name, designation, phoneNumber, department, capabilities, password } = req.body;
+            try {
+                // New accounts cannot log in until a supervisor approves them.
+                await db.run(
+                    `INSERT INTO responders (type, responderId, name, designation, phoneNumber, department, capabilities, passwordHash, status)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                    type, id, name || null, designation || null, phoneNumber || null,
+                    department || RESPONDER_TYPES[type].department, JSON.stringify(capabilities || []), await hashPassword(password)
+                );
+                const responder = await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', type, id);
+                res.status(201).json(this._formatResponder(responder));
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ message: `${RESPONDER_TYPES[type].idField} already registered.` });
+                res.status(500).json({ message: `${type} registration failed.` });
+            }
+        });
+
+        app.post('/responders/:type/login', this._requireResponderType, async (req, res) => {
+            const { id, password, ipAddress } = req.body;
+            await this._responderLogin(res, req.params.type, id, password, ipAddress);
+        });
+
+        app.put('/responders/:type/:id/status', this._requireResponderType, validateBody(schemas.responder.account, { partial: true }), async (req, res) => {
+            await this._updateResponderAccount(res, req.params.type, req.params.id, req.body);
+        });
+
+        app.put('/responders/:type/:id/credentials', this._requireResponderType, validateBody(schemas.responder.credentials), async (req, res) => {
+            await this._setResponderCredentials(res, req.params.type, req.params.id, req.body.password);
+        });
+
+        app.put('/responders/:type/:id/pushtoken', this._requireResponderType, validateBody(schemas.responder.pushToken), async (req, res) => {
+            const { type, id } = req.params;
             const { token } = req.body;
-            await db.run('UPDATE firefighters SET pushToken = ? WHERE unitNumber = ?', token, unitNumber);
+            await db.run('UPDATE responders SET pushToken = ? WHERE type = ? AND responderId = ?', token, type, id);
             res.status(204).send();
         });
 
-        app.put('/firefighters/:unitNumber/location', async (req, res) => {
-            const { unitNumber } = req.params;
+        // Moves a responder and appends the position to their location history. Responds with the
+        // geohash the position is indexed under, so it can be routed to clients watching that area,
+        // and the responder's availability and the alert they are handling, if any.
+        app.put('/responders/:type/:id/location', this._requireResponderType, validateBody(schemas.responder.location), async (req, res) => {
+            const { type, id } = req.params;
             const { location } = req.body;
-            await db.run('UPDATE firefighters SET locationLat = ?, locationLng = ? WHERE unitNumber = ?', location.lat, location.lng, unitNumber);
-            res.status(204).send();
+            const now = Date.now();
+            const geohash = encodePosition(location.lat, location.lng);
+            const responder = await withTransaction(async (tx) => {
+                const result = await tx.run(
+                    'UPDATE responders SET locationLat = ?, locationLng = ?, geohash = ?, lastSeen = ? WHERE type = ? AND responderId = ?',
+                    [location.lat, location.lng, geohash, now, type, id]
+                );
+                if (result.changes === 0) return null;
+                await tx.run(
+                    'INSERT INTO responder_locations (type, responderId, lat, lng, recordedAt) VALUES (?, ?, ?, ?, ?)',
+                    [type, id, location.lat, location.lng, now]
+                );
+                return tx.get('SELECT availability, currentAlertId FROM responders WHERE type = ? AND responderId = ?', [type, id]);
+            });
+            if (!responder) return res.status(404).json({ message: 'Responder not found.' });
+            res.json({ geohash, lastSeen: now, availability: responder.availability, currentAlertId: responder.currentAlertId });
+        });
+
+        // The positions a responder reported between `from` and `to` (inclusive), oldest first.
+        app.get('/responders/:type/:id/track', this._requireResponderType, async (req, res) => {
+            const { type, id } = req.params;
+            const from = parseInt(req.query.from, 10);
+            const to = parseInt(req.query.to, 10);
+            if (!Number.isInteger(from) || !Number.isInteger(to)) return res.status(400).json({ message: 'from and to must be timestamps.' });
+            const limit = Math.min(parseInt(req.query.limit, 10) || 1000, 10000);
+            const points = await db.all(
+                `SELECT lat, lng, recordedAt FROM responder_locations
+                 WHERE type = ? AND responderId = ? AND recordedAt BETWEEN ? AND ?
+                 ORDER BY recordedAt, id LIMIT ?`,
+                [type, id, from, to, limit]
+            );
+            res.json(points);
+        });
+
+        // Sets a responder's availability. Responders only handle one alert at a time: `alertId` records
+        // the alert, and leaving `en_route` and `on_scene` forgets it.
+        app.put('/responders/:type/:id/availability', this._requireResponderType, validateBody(schemas.responder.assignment), async (req, res) => {
+            const { type, id } = req.params;
+            const { availability, alertId } = req.body;
+            const handling = ['en_route', 'on_scene'].includes(availability);
+            const result = await db.run(
+                `UPDATE responders SET availability = ?, availabilityChangedAt = ?, currentAlertId = ${handling ? 'COALESCE(?, currentAlertId)' : '?'}
+                 WHERE type = ? AND responderId = ?`,
+                [availability, Date.now(), handling ? alertId || null : null, type, id]
+            );
+            if (result.changes === 0) return res.status(404).json({ message: 'Responder not found.' });
+            res.json(this._formatResponder(await db.get('SELECT * FROM responders WHERE type = ? AND responderId = ?', type, id)));
+        });
+
+        // Makes every responder still handling an alert available again, e.g. once it is resolved.
+        app.post('/responders/release', async (req, res) => {
+            const { alertId } = req.body;
+            if (!Number.isInteger(alertId)) return res.status(400).json({ message: 'alertId must be an integer.' });
+            const result = await db.run(
+                "UPDATE responders SET availability = 'available', availabilityChangedAt = ?, currentAlertId = NULL WHERE currentAlertId = ?",
+                [Date.now(), alertId]
+            );
+            res.json({ releasedCount: result.changes });
+        });
+
+        app.post('/responder-locations/purge', async (req, res) => {
+            const { retentionMs } = req.body;
+            if (!Number.isInteger(retentionMs) || retentionMs < 0) return res.status(400).json({ message: 'retentionMs must be a non-negative integer.' });
+            const result = await db.run('DELETE FROM responder_locations WHERE recordedAt < ?', Date.now() - retentionMs);
+            res.json({ purgedCount: result.changes });
+        });
+
+        // --- CATEGORY RESPONDER TYPES API ---
+        // Which responder types are dispatched to alerts of each category, and how many of them.
+        app.get('/category-responder-types', async (req, res) => {
+            const { category } = req.query;
+            const rows = category
+                ? await db.all('SELECT * FROM category_responder_types WHERE category = ? ORDER BY responderType', category)
+                : await db.all('SELECT * FROM category_responder_types ORDER BY category, responderType');
+            res.json(rows);
+        });
+
+        // Replaces the responder types dispatched to a category.
+        app.put('/category-responder-types/:category', validateBody(schemas.dispatchPlan), async (req, res) => {
+            const { category } = req.params;
+            const { units } = req.body;
+            if (new Set(units.map(unit => unit.type)).size !== units.length) {
+                return res.status(400).json({ message: 'Each responder type may only appear once.' });
+            }
+            const rows = await withTransaction(async (tx) => {
+                await tx.run('DELETE FROM category_responder_types WHERE category = ?', category);
+                for (const { type, count, maxTargeted } of units) {
+                    await tx.run(
+                        'INSERT INTO category_responder_types (category, responderType, count, maxTargeted) VALUES (?, ?, ?, ?)',
+                        [category, type, count, maxTargeted]
+                    );
+                }
+                return tx.all('SELECT * FROM category_responder_types WHERE category = ? ORDER BY responderType', category);
+            });
+            res.json(rows);
+        });
+
+        // --- LOGIN ATTEMPTS API ---
+        app.get('/login-attempts', async (req, res) => {
+            const { role, accountId } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const attempts = await db.all(
+                'SELECT * FROM login_attempts WHERE role = ? AND accountId = ? ORDER BY timestamp DESC LIMIT ?',
+                [role, accountId, limit]
+            );
+            res.json(attempts.map(a => ({ ...a, succeeded: !!a.succeeded })));
         });
 
         app.listen(PORT, () => console.log(`Database Service listening on port ${PORT}`));
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters. Raising these makes `needsRehash` report true for older hashes,
+// which are then upgraded transparently on the next successful login.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const HASH_PREFIX = 'scrypt';
+
+// A pre-computed hash used to spend the same amount of time when the account does not exist.
+let dummyHashPromise = null;
+
+/**
+ * Hashes a password with a random salt.
+ * The result is self-describing: `scrypt$N$r$p$<salt>$<key>` (base64 salt and key).
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The encoded hash, suitable for storage.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Checks whether a stored value is a hash produced by `hashPassword`, as opposed to
+ * a legacy plaintext password.
+ */
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`) && stored.split('$').length === 6;
+}
+
+/**
+ * Compares a password against a stored value in constant time.
+ * Legacy rows that still hold a plaintext password are supported so they can be upgraded.
+ * @param {string} password - The plaintext password supplied by the user.
+ * @param {string|null|undefined} stored - The stored hash or legacy plaintext, or nothing if the account does not exist.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string') return false;
+
+    if (!stored) {
+        // Burn comparable time so response timing does not reveal whether the account exists.
+        dummyHashPromise = dummyHashPromise || hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(password, await dummyHashPromise);
+        return false;
+    }
+
+    if (!isHashed(stored)) {
+        // Legacy plaintext row. Compare digests so both buffers have the same length.
+        const a = crypto.createHash('sha256').update(password).digest();
+        const b = crypto.createHash('sha256').update(stored).digest();
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    const [, N, r, p, saltB64, keyB64] = stored.split('$');
+    const expected = Buffer.from(keyB64, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+        N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Reports whether a stored value should be replaced with a fresh hash, either because it
+ * is legacy plaintext or because it was produced with weaker parameters.
+ */
+function needsRehash(stored) {
+    if (!isHashed(stored)) return true;
+    const [, N, r, p] = stored.split('$');
+    return parseInt(N, 10) !== SCRYPT_PARAMS.N || parseInt(r, 10) !== SCRYPT_PARAMS.r || parseInt(p, 10) !== SCRYPT_PARAMS.p;
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash };
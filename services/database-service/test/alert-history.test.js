@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { startService } = require('../../../shared/testing');
+
+// Runs the Database Service on a database in a temporary directory, so the test can also write
+// to it directly.
+let directory;
+let service;
+let db;
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-history-'));
+    const databasePath = path.join(directory, 'database.db');
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_PATH: databasePath });
+    db = await open({ filename: databasePath, driver: sqlite3.Database });
+});
+after(async () => {
+    await db.close();
+    await service.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${service.url}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function createAlert(audit) {
+    const { body } = await request('POST', '/alerts', {
+        citizenId: 'c1', message: 'Help', locationLat: 12.97, locationLng: 77.59, timestamp: Date.now(), status: 'new', audit,
+    });
+    return body;
+}
+
+test('the history lists the audit entries of an alert in order', async () => {
+    const alert = await createAlert([{ type: 'created', actor: { id: 'c1', role: 'citizen' }, details: { category: 'Law & Order' } }]);
+    await request('PUT', `/alerts/${alert.id}`, { status: 'canceled', audit: [{ type: 'canceled', actor: { id: 'c1', role: 'citizen' } }] });
+
+    const { status, body } = await request('GET', `/alerts/${alert.id}/history`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.map(entry => [entry.type, entry.actorId, entry.fromStatus, entry.toStatus, entry.details]), [
+        ['created', 'c1', null, 'new', { category: 'Law & Order' }],
+        ['canceled', 'c1', 'new', 'canceled', null],
+    ]);
+});
+
+test('entries whose details cannot be read are listed without them', async () => {
+    const alert = await createAlert([{ type: 'created', actor: { id: 'c1', role: 'citizen' }, details: { category: 'Law & Order' } }]);
+    await db.run('UPDATE alert_events SET details = ? WHERE alertId = ?', ['{not json', alert.id]);
+
+    const { status, body } = await request('GET', `/alerts/${alert.id}/history`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.map(entry => [entry.type, entry.details]), [['created', null]]);
+});
+
+test('failing to read the history responds 500', async () => {
+    await db.exec('ALTER TABLE alert_events RENAME TO alert_events_moved');
+    try {
+        const { status, body } = await request('GET', '/alerts/1/history');
+        assert.strictEqual(status, 500);
+        assert.strictEqual(body.message, 'Failed to retrieve alert history.');
+    } finally {
+        await db.exec('ALTER TABLE alert_events_moved RENAME TO alert_events');
+    }
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService } = require('../../../shared/testing');
+
+// Runs the Database Service on an in-memory database with three alerts, one a second apart.
+let service;
+before(async () => {
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_PATH: ':memory:' });
+    for (const [timestamp, status] of [[1000, 'new'], [2000, 'accepted'], [3000, 'resolved']]) {
+        await request('POST', '/alerts', { citizenId: 'c1', message: null, locationLat: 12.97, locationLng: 77.59, timestamp, status });
+    }
+});
+after(() => service.stop());
+
+async function request(method, url, body) {
+    const response = await fetch(`${service.url}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const cursorOf = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+test('pages follow each other through the cursor', async () => {
+    const first = await request('GET', '/alerts?limit=2&fields=status');
+    assert.deepStrictEqual(first.body.alerts, [{ status: 'resolved' }, { status: 'accepted' }]);
+    const second = await request('GET', `/alerts?limit=2&fields=status&cursor=${first.body.nextCursor}`);
+    assert.deepStrictEqual(second.body, { alerts: [{ status: 'new' }], nextCursor: null });
+});
+
+test('alerts can be filtered by several statuses', async () => {
+    const { body } = await request('GET', '/alerts?status=new,resolved&sort=timestamp&fields=timestamp');
+    assert.deepStrictEqual(body.alerts, [{ timestamp: 1000 }, { timestamp: 3000 }]);
+});
+
+test('cursors that cannot be read are refused', async () => {
+    for (const cursor of ['!!!', cursorOf('{not json'), cursorOf('null'), cursorOf([1, 2]), cursorOf({ timestamp: '1000', id: 1 })]) {
+        const { status, body } = await request('GET', `/alerts?cursor=${encodeURIComponent(cursor)}`);
+        assert.strictEqual(status, 400, cursor);
+        assert.strictEqual(body.message, 'Invalid cursor.');
+    }
+});
+
+test('parameters given more than once are refused', async () => {
+    for (const query of ['status=new&status=accepted', 'bbox[0]=1', 'fields=id&fields=status', 'cursor=a&cursor=b', 'citizenId=c1&citizenId=c2']) {
+        const { status, body } = await request('GET', `/alerts?${query}`);
+        assert.strictEqual(status, 400, query);
+        assert.match(body.message, /must be given once/);
+    }
+});
+
+test('invalid filters are refused', async () => {
+    for (const query of ['since=yesterday', 'bbox=1,2,3', 'sort=status', 'limit=0', 'fields=secret']) {
+        assert.strictEqual((await request('GET', `/alerts?${query}`)).status, 400, query);
+    }
+});
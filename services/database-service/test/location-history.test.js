@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService } = require('../../../shared/testing');
+
+// Runs the Database Service on an in-memory database, with one police officer.
+let service;
+before(async () => {
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_PATH: ':memory:' });
+    await request('POST', '/responders/police/register', { id: 'P1', password: 'secret' });
+});
+after(() => service.stop());
+
+async function request(method, url, body) {
+    const response = await fetch(`${service.url}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+test('every reported position is kept, and the latest one is the current position', async () => {
+    const started = Date.now();
+    const reported = [{ lat: 12.97, lng: 77.59 }, { lat: 12.98, lng: 77.6 }];
+    for (const location of reported) {
+        const { status, body } = await request('PUT', '/responders/police/P1/location', { location });
+        assert.strictEqual(status, 200);
+        assert.ok(body.lastSeen >= started);
+    }
+
+    const { body: track } = await request('GET', `/responders/police/P1/track?from=${started}&to=${Date.now()}`);
+    assert.deepStrictEqual(track.map(({ lat, lng }) => ({ lat, lng })), reported);
+    const { body: responder } = await request('GET', '/responders/police/P1');
+    assert.deepStrictEqual([responder.locationLat, responder.locationLng], [12.98, 77.6]);
+    assert.strictEqual(responder.lastSeen, track[1].recordedAt);
+});
+
+test('tracks are limited to a time range and a number of positions', async () => {
+    const { body: all } = await request('GET', `/responders/police/P1/track?from=0&to=${Date.now()}`);
+    assert.strictEqual((await request('GET', `/responders/police/P1/track?from=0&to=${Date.now()}&limit=1`)).body.length, 1);
+    assert.deepStrictEqual((await request('GET', `/responders/police/P1/track?from=0&to=${all[0].recordedAt - 1}`)).body, []);
+    assert.strictEqual((await request('GET', '/responders/police/P1/track?from=0')).status, 400);
+});
+
+test('positions of unknown responders are rejected', async () => {
+    assert.strictEqual((await request('PUT', '/responders/police/P9/location', { location: { lat: 1, lng: 1 } })).status, 404);
+});
+
+test('purging drops positions older than the retention period', async () => {
+    assert.deepStrictEqual((await request('POST', '/responder-locations/purge', { retentionMs: 60000 })).body, { purgedCount: 0 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepStrictEqual((await request('POST', '/responder-locations/purge', { retentionMs: 0 })).body, { purgedCount: 2 });
+    assert.strictEqual((await request('POST', '/responder-locations/purge', {})).status, 400);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const ngeohash = require('ngeohash');
+const { startService } = require('../../../shared/testing');
+const { encodePosition, coveringCells } = require('../geo');
+
+const center = { lat: 12.97, lng: 77.59 };
+// About `km` kilometers north of the center.
+const north = (km) => ({ lat: center.lat + km / 111.32, lng: center.lng });
+
+test('positions are indexed at a precision of 9 characters', () => {
+    assert.strictEqual(encodePosition(center.lat, center.lng), ngeohash.encode(center.lat, center.lng, 9));
+});
+
+test('the covering cells contain every point within the radius', () => {
+    for (const radiusKm of [0.01, 0.5, 3, 40]) {
+        const cells = coveringCells(center, radiusKm);
+        assert.ok(cells.length <= 9, `${radiusKm}km`);
+        for (const point of [north(radiusKm), north(-radiusKm), { lat: center.lat, lng: center.lng + radiusKm / 108 }]) {
+            const geohash = encodePosition(point.lat, point.lng);
+            assert.ok(cells.some(cell => geohash.startsWith(cell)), `${radiusKm}km: ${geohash} not in ${cells}`);
+        }
+    }
+});
+
+test('radii wider than the coarsest cells cover the whole world', () => {
+    assert.strictEqual(coveringCells(center, 10000), null);
+});
+
+// Runs the Database Service on an in-memory database.
+let service;
+before(async () => {
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_PATH: ':memory:' });
+    const responders = [
+        ['police', 'P1', north(1), 'available'],
+        ['police', 'P2', north(4), 'available'],
+        ['police', 'P3', north(0.5), 'en_route'],
+        ['police', 'P4', north(12), 'available'],
+        ['firefighter', 'F1', north(2), 'available'],
+    ];
+    for (const [type, id, location, availability] of responders) {
+        await request('POST', `/responders/${type}/register`, { id, password: 'secret' });
+        await request('PUT', `/responders/${type}/${id}/location`, { location });
+        await request('PUT', `/responders/${type}/${id}/availability`, { availability });
+    }
+});
+after(() => service.stop());
+
+async function request(method, url, body) {
+    const response = await fetch(`${service.url}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+const nearby = async (search) => (await request('POST', '/responders/nearby', { location: center, ...search })).body;
+
+test('finds the responders of the requested types within the radius, closest first', async () => {
+    const found = await nearby({ radiusKm: 5, types: ['police'] });
+    assert.deepStrictEqual(found.map(responder => responder.id), ['P3', 'P1', 'P2']);
+    assert.ok(Math.abs(found[1].distanceKm - 1) < 0.01);
+    assert.deepStrictEqual((await nearby({ radiusKm: 5, types: ['police', 'firefighter'] })).map(responder => responder.id), ['P3', 'P1', 'F1', 'P2']);
+    assert.deepStrictEqual((await nearby({ radiusKm: 20, types: ['police'] })).map(responder => responder.id), ['P3', 'P1', 'P2', 'P4']);
+});
+
+test('filters by availability, excluded ids and limit', async () => {
+    assert.deepStrictEqual((await nearby({ radiusKm: 5, types: ['police'], availability: ['available'] })).map(responder => responder.id), ['P1', 'P2']);
+    assert.deepStrictEqual((await nearby({ radiusKm: 5, types: ['police'], excludeIds: ['P1'], limit: 1 })).map(responder => responder.id), ['P3']);
+    assert.deepStrictEqual(await nearby({ radiusKm: 5, types: [] }), []);
+});
+
+test('rejects invalid searches', async () => {
+    const { status } = await request('POST', '/responders/nearby', { location: center, radiusKm: -1, types: ['police'] });
+    assert.strictEqual(status, 400);
+});
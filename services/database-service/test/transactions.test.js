@@ -0,0 +1,73 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+const { setupDatabase, getDb, withTransaction } = require('../database');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+    await setupDatabase();
+    await getDb().exec('CREATE TABLE counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+});
+
+async function valueOf(name) {
+    const row = await getDb().get('SELECT value FROM counters WHERE name = ?', name);
+    return row ? row.value : undefined;
+}
+
+test('concurrent transactions run one after the other', async () => {
+    await getDb().run("INSERT INTO counters (name, value) VALUES ('concurrent', 0)");
+    const increment = () => withTransaction(async (tx) => {
+        const { value } = await tx.get("SELECT value FROM counters WHERE name = 'concurrent'");
+        await sleep(10); // Another transaction would read the same value meanwhile.
+        await tx.run("UPDATE counters SET value = ? WHERE name = 'concurrent'", value + 1);
+        return value + 1;
+    });
+
+    assert.deepStrictEqual(await Promise.all([increment(), increment(), increment()]), [1, 2, 3]);
+    assert.strictEqual(await valueOf('concurrent'), 3);
+});
+
+test('a transaction that throws is rolled back, and the next one still runs', async () => {
+    const failed = withTransaction(async (tx) => {
+        await tx.run("INSERT INTO counters (name, value) VALUES ('rolled-back', 1)");
+        throw new Error('Not this time.');
+    });
+    const next = withTransaction(tx => tx.run("INSERT INTO counters (name, value) VALUES ('committed', 1)"));
+
+    await assert.rejects(failed, /Not this time/);
+    await next;
+    assert.strictEqual(await valueOf('rolled-back'), undefined);
+    assert.strictEqual(await valueOf('committed'), 1);
+});
+
+test('statements sent during a transaction wait for it and are not rolled back with it', async () => {
+    const order = [];
+    let entered;
+    const inside = new Promise(resolve => { entered = resolve; });
+    const failed = withTransaction(async (tx) => {
+        await tx.run("INSERT INTO counters (name, value) VALUES ('inside', 1)");
+        entered();
+        await sleep(20);
+        order.push('transaction');
+        throw new Error('Rolled back.');
+    });
+    await inside;
+    const outside = getDb().run("INSERT INTO counters (name, value) VALUES ('outside', 1)").then(() => order.push('statement'));
+
+    await assert.rejects(failed, /Rolled back/);
+    await outside;
+    assert.deepStrictEqual(order, ['transaction', 'statement']);
+    assert.strictEqual(await valueOf('inside'), undefined);
+    assert.strictEqual(await valueOf('outside'), 1);
+});
+
+test('a transaction waits for the statements already running', async () => {
+    await getDb().run("INSERT INTO counters (name, value) VALUES ('running', 0)");
+    const running = getDb().run("UPDATE counters SET value = value + 1 WHERE name = 'running'");
+    const seen = withTransaction(async (tx) => (await tx.get("SELECT value FROM counters WHERE name = 'running'")).value);
+
+    await running;
+    assert.strictEqual(await seen, 1);
+});
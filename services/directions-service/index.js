@@ -7,6 +7,8 @@ const polyline = require('@mapbox/polyline');
 const PORT = process.env.PORT || 3005;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const GOOGLE_API_TIMEOUT_MS = 10000; // 10 seconds
+// The Distance Matrix API accepts at most 25 origins per request.
+const MAX_TRAVEL_TIME_ORIGINS = 25;
 
 const app = express();
 app.use(cors());
@@ -45,4 +47,45 @@ app.get('/route', async (req, res) => {
     }
 });
 
+const isPoint = (p) => p && typeof p.lat === 'number' && typeof p.lng === 'number';
+
+// Internal API: driving times from several origins (e.g. responders) to one destination (e.g. an alert).
+// Responds with `durations`, in seconds and in the order of `origins`; null where there is no route.
+app.post('/travel-times', express.json(), async (req, res) => {
+    const { origins, destination } = req.body || {};
+    if (!Array.isArray(origins) || origins.length === 0 || origins.length > MAX_TRAVEL_TIME_ORIGINS || !origins.every(isPoint) || !isPoint(destination)) {
+        return res.status(400).json({ message: `Between 1 and ${MAX_TRAVEL_TIME_ORIGINS} origins and a destination, each { lat, lng }, are required.` });
+    }
+    if (!GOOGLE_MAPS_API_KEY) {
+        return res.status(500).json({ message: 'Directions service is not configured.' });
+    }
+
+    const params = new URLSearchParams({
+        origins: origins.map(p => `${p.lat},${p.lng}`).join('|'),
+        destinations: `${destination.lat},${destination.lng}`,
+        // Leaving now, so that durations account for current traffic.
+        departure_time: 'now',
+        key: GOOGLE_MAPS_API_KEY,
+    });
+    try {
+        const response = await fetch(`https://maps.googleapis.com/maps/api/distancematrix/json?${params}`, { timeout: GOOGLE_API_TIMEOUT_MS });
+        const data = await response.json();
+
+        if (data.status !== 'OK' || !Array.isArray(data.rows) || data.rows.length !== origins.length) {
+            console.error('Google Maps API Error:', data.error_message || data.status);
+            return res.status(500).json({ message: 'Failed to fetch travel times from Google Maps API.' });
+        }
+
+        const durations = data.rows.map(row => {
+            const element = row.elements && row.elements[0];
+            if (!element || element.status !== 'OK') return null;
+            return (element.duration_in_traffic || element.duration).value;
+        });
+        res.json({ durations });
+    } catch (error) {
+        console.error('Error fetching travel times:', error);
+        res.status(500).json({ message: 'Internal server error.' });
+    }
+});
+
 app.listen(PORT, () => console.log(`Directions Service listening on port ${PORT}`));
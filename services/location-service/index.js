@@ -2,10 +2,31 @@ const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const { connect: connectMessageQueue, publish } = require('../../shared/message-queue');
+const { requireIdentity, isSupervisorOf } = require('../../shared/auth');
+const { AVAILABILITIES, schemas, validateBody } = require('../../shared/schemas');
+const { RESPONDER_ROLES, isResponderRole } = require('../../shared/responders');
 
 const PORT = process.env.PORT || 3004;
 const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://database-service:3008';
-const SEARCH_RADIUS_KM = 5;
+const DIRECTIONS_SERVICE_URL = process.env.DIRECTIONS_SERVICE_URL || 'http://directions-service:3005';
+// Default search radius, used when the caller does not ask for a specific one.
+const SEARCH_RADIUS_KM = parseFloat(process.env.SEARCH_RADIUS_KM || '5');
+// Travel times are only looked up for this many of the closest responders, in a single request.
+const MAX_ETA_CANDIDATES = 25;
+const ETA_TIMEOUT_MS = 5000;
+// Responders whose last position is older than this are not dispatched; their apps have likely stopped reporting.
+const LOCATION_STALE_AFTER_MS = parseInt(process.env.LOCATION_STALE_AFTER_MS || String(10 * 60 * 1000), 10); // 10 minutes
+// How long reported positions are kept in the location history.
+const LOCATION_HISTORY_RETENTION_MS = parseInt(process.env.LOCATION_HISTORY_RETENTION_MS || String(30 * 24 * 60 * 60 * 1000), 10); // 30 days
+const HISTORY_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+// Tracks span one hour unless a range is requested, and return at most this many positions.
+const DEFAULT_TRACK_WINDOW_MS = 60 * 60 * 1000;
+const MAX_TRACK_POINTS = 5000;
+// The ETA shown to a citizen while a responder is on the way is recomputed at most this often.
+const TRACKING_ETA_REFRESH_MS = parseInt(process.env.TRACKING_ETA_REFRESH_MS || '30000', 10);
+
+// Searched for alert categories that no responder type is mapped to.
+const DEFAULT_RESPONDER_TYPE = 'police';
 
 const app = express();
 app.use(cors());
@@ -24,98 +45,332 @@ const dbService = {
     },
 };
 
+// Badge and unit numbers are only unique within a responder type.
+const responderKey = (type, id) => `${type}:${id}`;
+
+// What is shown to citizens about each responder handling their alert: responder key ->
+// { alertId, alert, etaSeconds, computedAt }. Dropped once the responder or the alert is done.
+const tracking = new Map();
+
 /**
- * Calculates the distance between two lat/lng points in kilometers.
+ * Asks the Directions Service for the driving time from each origin to a destination.
+ * @returns {Promise<Array<number|null>>} Seconds per origin, null where there is no route.
  */
-function getHaversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the Earth in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+async function fetchTravelTimes(origins, destination) {
+    const response = await fetch(`${DIRECTIONS_SERVICE_URL}/travel-times`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ origins, destination }),
+        timeout: ETA_TIMEOUT_MS,
+    });
+    if (!response.ok) throw new Error(`Directions service responded with status ${response.status}`);
+    const { durations } = await response.json();
+    return durations;
 }
 
 /**
- * Finds all responders of a specific category within a radius of a location.
+ * Finds the responders of some types within a radius of a location, closest first. The Database
+ * Service searches its spatial index, so only responders near the location are read.
+ * @param {{ lat: number, lng: number }} location - Where responders are needed.
+ * @param {object} options
+ * @param {string[]} options.responderTypes - Responder types, see `shared/responders.js`.
+ * @param {number} [options.radiusKm] - Search radius in kilometers. Defaults to SEARCH_RADIUS_KM.
+ * @param {string[]} [options.capabilities] - Only responders with all of these capabilities.
+ * @param {number} [options.limit] - Returns at most this many responders.
+ * @param {string[]} [options.excludeIds] - Responders to leave out, e.g. those already targeted.
+ * @param {string[]} [options.availability] - Only responders in one of these states. Defaults to those available.
+ * @param {number} [options.maxAgeMs] - Leaves out responders whose position is older. Defaults to LOCATION_STALE_AFTER_MS.
+ * @param {boolean} [options.includeEta] - Ranks by driving time instead, adding `etaSeconds` to each responder.
+ * @returns {Promise<Array<{ id: string, type: string, distanceKm: number, lastSeen: number, etaSeconds?: number|null }>>}
  */
-async function findNearbyResponders(location, category) {
-    let responders = [];
-
-    // Fetch responders data from the database service
-    if (category === 'Law & Order') {
-        responders = await dbService.request('/police');
-    } else if (category === 'Fire & Rescue') {
-        responders = await dbService.request('/firefighters');
-    } else {
-        responders = await dbService.request('/police');
+async function findNearbyResponders(location, { responderTypes, radiusKm = SEARCH_RADIUS_KM, capabilities = [], limit, excludeIds = [], availability = ['available'], maxAgeMs = LOCATION_STALE_AFTER_MS, includeEta = false }) {
+    // Ranking by driving time may promote responders that are not among the closest few.
+    const fetchLimit = includeEta && limit !== undefined ? Math.max(limit, MAX_ETA_CANDIDATES) : limit;
+    const responders = await dbService.request('/responders/nearby', {
+        method: 'POST',
+        body: JSON.stringify({ location, radiusKm, types: responderTypes, capabilities, excludeIds, availability, seenSince: Date.now() - maxAgeMs, limit: fetchLimit }),
+    });
+
+    const locations = new Map();
+    let candidates = responders.map(({ id, type, distanceKm, lastSeen, locationLat, locationLng }) => {
+        locations.set(responderKey(type, id), { lat: locationLat, lng: locationLng });
+        return { id, type, distanceKm: Math.round(distanceKm * 1000) / 1000, lastSeen };
+    });
+    if (includeEta && candidates.length > 0) {
+        candidates = await rankByTravelTime(location, candidates, locations);
     }
+    return limit === undefined ? candidates : candidates.slice(0, limit);
+}
 
-    const nearbyResponderIds = [];
-    for (const responder of responders) {
-        const distance = getHaversineDistance(
-            location.lat, location.lng,
-            responder.locationLat, responder.locationLng
-        );
-        if (distance <= SEARCH_RADIUS_KM) {
-            // Use the correct primary key for each responder type
-            nearbyResponderIds.push(responder.badgeNumber || responder.unitNumber);
-        }
+/**
+ * Re-ranks responders, given closest first, by their driving time to a destination. Responders
+ * without a route, and those too far down the list to be looked up, follow in order of distance.
+ * Without travel times (e.g. the Directions Service is down), the ranking by distance is kept.
+ */
+async function rankByTravelTime(destination, candidates, locations) {
+    const considered = candidates.slice(0, MAX_ETA_CANDIDATES);
+    let durations;
+    try {
+        durations = await fetchTravelTimes(considered.map(c => locations.get(responderKey(c.type, c.id))), destination);
+    } catch (error) {
+        console.warn('[Location] Travel times unavailable, ranking responders by distance:', error.message);
+        return candidates.map(c => ({ ...c, etaSeconds: null }));
     }
-    return nearbyResponderIds;
+
+    const ranked = candidates.map((c, i) => ({ ...c, etaSeconds: i < considered.length && typeof durations[i] === 'number' ? durations[i] : null }));
+    const withEta = ranked.filter(c => c.etaSeconds !== null).sort((a, b) => a.etaSeconds - b.etaSeconds);
+    return [...withEta, ...ranked.filter(c => c.etaSeconds === null)];
 }
 
 const LocationService = {
     async initialize() {
-        await connectMessageQueue();
+        const { subscribe } = await connectMessageQueue('location-service');
+        // Queues are exclusive because every instance keeps its own tracking cache.
+        subscribe('alert.updated.*', (msg) => this._onAlertChanged(msg), { exclusive: true });
+        subscribe('alert.deleted.*', (msg) => this._onAlertChanged(msg, { deleted: true }), { exclusive: true });
 
-        // Public API for clients
-        app.post('/police/location', this.updateLocation);
-        app.get('/police/locations', this.getLocations);
-        app.post('/firefighter/location', this.updateFirefighterLocation);
+        // Public API for clients, e.g. POST /paramedic/location
+        for (const role of RESPONDER_ROLES) {
+            app.post(`/${role}/location`, requireIdentity(role), validateBody(schemas.responder.location), this.updateLocation);
+            app.get(`/${role}/availability`, requireIdentity(role), this.getAvailability);
+            app.post(`/${role}/availability`, requireIdentity(role), validateBody(schemas.responder.availability), this.updateAvailability);
+            app.get(`/${role}/track/:id`, requireIdentity(...RESPONDER_ROLES), this.getTrack(role));
+        }
+        app.get('/police/locations', requireIdentity(...RESPONDER_ROLES), this.getLocations);
 
-        // Internal API for service-to-service communication
+        // Internal API for service-to-service communication.
+        // Responds with the matching `responders`, ranked, and their `responderIds` in the same order.
+        // The responder type is either given as `responderType` or, from the alert `category`, every
+        // type mapped to it in the Database Service.
         app.post('/find-nearby', async (req, res) => {
-            const { location, category } = req.body;
+            const { location, category, responderType, radiusKm, capabilities, limit, excludeIds, availability, maxAgeMs, includeEta } = req.body;
             if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') {
                 return res.status(400).json({ message: 'A valid location object is required.' });
             }
+            if (responderType !== undefined && !isResponderRole(responderType)) {
+                return res.status(400).json({ message: `responderType must be one of: ${RESPONDER_ROLES.join(', ')}.` });
+            }
+            if (radiusKm !== undefined && (typeof radiusKm !== 'number' || !(radiusKm > 0))) {
+                return res.status(400).json({ message: 'radiusKm must be a positive number.' });
+            }
+            if (capabilities !== undefined && (!Array.isArray(capabilities) || !capabilities.every(c => typeof c === 'string'))) {
+                return res.status(400).json({ message: 'capabilities must be an array of strings.' });
+            }
+            if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+                return res.status(400).json({ message: 'limit must be a positive integer.' });
+            }
+            if (excludeIds !== undefined && (!Array.isArray(excludeIds) || !excludeIds.every(id => typeof id === 'string'))) {
+                return res.status(400).json({ message: 'excludeIds must be an array of responder IDs.' });
+            }
+            if (availability !== undefined && (!Array.isArray(availability) || !availability.every(state => AVAILABILITIES.includes(state)))) {
+                return res.status(400).json({ message: `availability must be an array of: ${AVAILABILITIES.join(', ')}.` });
+            }
+            if (maxAgeMs !== undefined && (!Number.isInteger(maxAgeMs) || maxAgeMs < 1)) {
+                return res.status(400).json({ message: 'maxAgeMs must be a positive integer.' });
+            }
             try {
-                const responderIds = await findNearbyResponders(location, category || 'Law & Order');
-                res.status(200).json({ responderIds });
+                const responderTypes = responderType ? [responderType] : await LocationService._responderTypesFor(category);
+                const responders = await findNearbyResponders(location, { responderTypes, radiusKm, capabilities, limit, excludeIds, availability, maxAgeMs, includeEta: includeEta === true });
+                res.status(200).json({ responders, responderIds: responders.map(r => r.id) });
             } catch (error) {
                 console.error('Internal find-nearby error:', error);
                 res.status(500).json({ message: 'Failed to query for nearby responders.' });
             }
         });
 
+        setInterval(() => LocationService._purgeLocationHistory(), HISTORY_PURGE_INTERVAL_MS);
+
         app.listen(PORT, () => console.log(`Location Service listening on port ${PORT}`));
     },
 
-    async updateLocation(req, res) {
-        const { badgeNumber, location } = req.body;
-        if (!badgeNumber || !location) {
-            return res.status(400).json({ message: 'Badge number and location are required.' });
+    async _purgeLocationHistory() {
+        try {
+            const { purgedCount } = await dbService.request('/responder-locations/purge', {
+                method: 'POST',
+                body: JSON.stringify({ retentionMs: LOCATION_HISTORY_RETENTION_MS }),
+            });
+            if (purgedCount > 0) console.log(`[Location] Purged ${purgedCount} positions from the location history.`);
+        } catch (error) {
+            console.error('[Location] Failed to purge the location history:', error);
         }
+    },
+
+    /**
+     * The responder types dispatched to an alert category.
+     */
+    async _responderTypesFor(category) {
+        if (!category) return [DEFAULT_RESPONDER_TYPE];
+        const rows = await dbService.request(`/category-responder-types?category=${encodeURIComponent(category)}`);
+        return rows.length > 0 ? rows.map(row => row.responderType) : [DEFAULT_RESPONDER_TYPE];
+    },
+
+    async updateLocation(req, res) {
+        // The badge or unit number comes from the verified token so responders cannot move each other.
+        const { id, role } = req.identity;
+        const { location } = req.body;
         try {
-            await dbService.request(`/police/${badgeNumber}/location`, { method: 'PUT', body: JSON.stringify({ location }) });
-            publish('location.broadcast', JSON.stringify({ message: 'Locations updated' }));
+            const { geohash, lastSeen, availability, currentAlertId } = await dbService.request(`/responders/${role}/${encodeURIComponent(id)}/location`, { method: 'PUT', body: JSON.stringify({ location }) });
+            // Routed by the position's geohash to WebSocket clients watching the area. The location
+            // is already saved, so a failed publish should not fail the request.
+            publish(`location.updated.${geohash}`, JSON.stringify({ type: role, id, location, lastSeen }))
+                .catch(e => console.error('[Location] MQ publish failed for location update', e));
+            if (currentAlertId && ['en_route', 'on_scene'].includes(availability)) {
+                LocationService._publishTracking({ type: role, id, location, lastSeen, availability }, currentAlertId)
+                    .catch(e => console.error(`[Location] Failed to publish tracking for alert #${currentAlertId}:`, e.message));
+            } else {
+                // E.g. released when their alert was resolved.
+                tracking.delete(responderKey(role, id));
+            }
             res.status(204).send();
         } catch (error) {
-            console.error('Error updating location:', error);
+            console.error(`Error updating ${role} location:`, error);
             res.status(500).json({ message: 'Failed to update location.' });
         }
     },
 
+    /**
+     * Shows the citizen who raised an alert where a responder handling it is, and how long until
+     * they arrive, as `alert.tracking.<alertId>`. Only while the alert is still accepted.
+     */
+    async _publishTracking(responder, alertId) {
+        const tracked = await LocationService._tracking(responder, alertId);
+        if (!tracked) return;
+        await publish(`alert.tracking.${alertId}`, JSON.stringify({
+            alertId,
+            citizenId: tracked.alert.citizenId,
+            responder: { type: responder.type, id: responder.id },
+            location: responder.location,
+            lastSeen: responder.lastSeen,
+            availability: responder.availability,
+            etaSeconds: responder.availability === 'on_scene' ? 0 : tracked.etaSeconds,
+        }));
+    },
+
+    /**
+     * The alert a responder is handling and their driving time to it (null if unknown). Both are
+     * reused until they are older than TRACKING_ETA_REFRESH_MS; meanwhile, alert events keep the
+     * alert up to date. Null if the alert is no longer accepted.
+     */
+    async _tracking(responder, alertId) {
+        const key = responderKey(responder.type, responder.id);
+        const cached = tracking.get(key);
+        if (cached && cached.alertId === alertId && Date.now() - cached.computedAt < TRACKING_ETA_REFRESH_MS) return cached;
+
+        const alert = await dbService.request(`/alerts/${alertId}`);
+        if (!alert || alert.status !== 'accepted') {
+            tracking.delete(key);
+            return null;
+        }
+        let etaSeconds = null;
+        if (responder.availability !== 'on_scene') {
+            try {
+                [etaSeconds] = await fetchTravelTimes([responder.location], alert.location);
+            } catch (error) {
+                console.warn(`[Location] Travel time for ${key} to alert #${alertId} unavailable:`, error.message);
+            }
+        }
+        const tracked = { alertId, alert, etaSeconds, computedAt: Date.now() };
+        tracking.set(key, tracked);
+        return tracked;
+    },
+
+    /**
+     * Updates the alert cached for the responders handling it, or forgets them once it is closed or deleted.
+     */
+    _onAlertChanged(msg, { deleted = false } = {}) {
+        let alert;
+        try {
+            alert = JSON.parse(msg.content.toString());
+        } catch (error) {
+            return console.error('[Location] Ignoring an unreadable alert event:', error.message);
+        }
+        for (const [key, tracked] of tracking) {
+            if (tracked.alertId !== alert.id) continue;
+            if (deleted || alert.status !== 'accepted') tracking.delete(key);
+            else tracked.alert = alert;
+        }
+    },
+
+    async getAvailability(req, res) {
+        const { id, role } = req.identity;
+        try {
+            const responder = await dbService.request(`/responders/${role}/${encodeURIComponent(id)}`);
+            res.json(LocationService._availabilityOf(responder));
+        } catch (error) {
+            console.error(`Error fetching ${role} availability:`, error);
+            res.status(500).json({ message: 'Failed to retrieve availability.' });
+        }
+    },
+
+    /**
+     * Lets a responder go on or off duty, or report progress on the alert they are handling. Accepting
+     * an alert makes a responder `en_route`, and its resolution makes them `available` again.
+     */
+    async updateAvailability(req, res) {
+        const { id, role } = req.identity;
+        const { availability } = req.body;
+        const accountPath = `/responders/${role}/${encodeURIComponent(id)}`;
+        try {
+            if (['en_route', 'on_scene'].includes(availability)) {
+                const responder = await dbService.request(accountPath);
+                if (!responder.currentAlertId) {
+                    return res.status(409).json({ message: `You must accept an alert before you can be ${availability}.` });
+                }
+            }
+            const responder = await dbService.request(`${accountPath}/availability`, { method: 'PUT', body: JSON.stringify({ availability }) });
+            // Arriving or leaving changes what to show the citizen, so tracking starts afresh.
+            tracking.delete(responderKey(role, id));
+            console.log(`[Location] ${role} ${id} is now ${availability}.`);
+            res.json(LocationService._availabilityOf(responder));
+        } catch (error) {
+            console.error(`Error updating ${role} availability:`, error);
+            res.status(500).json({ message: 'Failed to update availability.' });
+        }
+    },
+
+    _availabilityOf(responder) {
+        return {
+            availability: responder.availability,
+            currentAlertId: responder.currentAlertId,
+            availabilityChangedAt: responder.availabilityChangedAt,
+        };
+    },
+
+    /**
+     * Returns the path a responder took, e.g. to review how they got to an incident. Responders can
+     * see their own; supervisors those of their responder type, and admins anyone's.
+     * Query: `from` and `to` as timestamps in milliseconds, by default the last hour.
+     */
+    getTrack(role) {
+        return async (req, res) => {
+            const { id } = req.params;
+            const isSelf = req.identity.role === role && req.identity.id === id;
+            if (!isSelf && !isSupervisorOf(req.identity, role)) {
+                return res.status(403).json({ message: `Only the responder, a ${role} supervisor or an admin can view this track.` });
+            }
+            const to = req.query.to === undefined ? Date.now() : Number(req.query.to);
+            const from = req.query.from === undefined ? to - DEFAULT_TRACK_WINDOW_MS : Number(req.query.from);
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to) {
+                return res.status(400).json({ message: 'from and to must be timestamps in milliseconds, with from not after to.' });
+            }
+            try {
+                // One extra position tells whether the range holds more than can be returned.
+                const points = await dbService.request(`/responders/${role}/${encodeURIComponent(id)}/track?from=${from}&to=${to}&limit=${MAX_TRACK_POINTS + 1}`);
+                res.json({ type: role, id, from, to, points: points.slice(0, MAX_TRACK_POINTS), truncated: points.length > MAX_TRACK_POINTS });
+            } catch (error) {
+                console.error(`Error fetching ${role} track:`, error);
+                res.status(500).json({ message: 'Failed to retrieve track.' });
+            }
+        };
+    },
+
     async getLocations(req, res) {
         try {
-            const officers = await dbService.request('/police');
+            const officers = await dbService.request('/responders?type=police');
             const locations = officers.map(o => ({
                 badgeNumber: o.badgeNumber,
                 location: { lat: o.locationLat, lng: o.locationLng },
+                lastSeen: o.lastSeen,
             }));
             res.json(locations);
         } catch (error) {
@@ -123,21 +378,6 @@ const LocationService = {
             res.status(500).json({ message: 'Failed to retrieve locations.' });
         }
     },
-
-    async updateFirefighterLocation(req, res) {
-        const { unitNumber, location } = req.body;
-        if (!unitNumber || !location) {
-            return res.status(400).json({ message: 'Unit number and location are required.' });
-        }
-        try {
-            await dbService.request(`/firefighters/${unitNumber}/location`, { method: 'PUT', body: JSON.stringify({ location }) });
-            publish('location.broadcast', JSON.stringify({ message: 'Locations updated' }));
-            res.status(204).send();
-        } catch (error) {
-            console.error('Error updating firefighter location:', error);
-            res.status(500).json({ message: 'Failed to update location.' });
-        }
-    }
 };
 
 LocationService.initialize();
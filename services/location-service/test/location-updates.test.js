@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, identityHeaders } = require('../../../shared/testing');
+
+// Runs the Location Service against a stub Database Service that saves every position, where
+// P5 is on the way to alert #7, P6 at its scene, and P7 still assigned to the resolved alert #8,
+// and a stub Directions Service that puts everyone 5 minutes away.
+const assignments = { P5: ['en_route', 7], P6: ['on_scene', 7], P7: ['en_route', 8] };
+const alerts = {
+    7: { id: 7, citizenId: 'c1', status: 'accepted', location: { lat: 12.97, lng: 77.59 } },
+    8: { id: 8, citizenId: 'c1', status: 'resolved', location: { lat: 12.97, lng: 77.59 } },
+};
+let database;
+let directions;
+let service;
+before(async () => {
+    database = await startStub((req, body) => {
+        if (req.method === 'PUT' && req.url.endsWith('/location')) {
+            const [availability, currentAlertId] = assignments[req.url.split('/')[3]] || ['available', null];
+            return { geohash: 'tdr1v957d', lastSeen: 42, availability, currentAlertId };
+        }
+        const alert = req.url.match(/^\/alerts\/(\d+)$/);
+        if (alert) return alerts[alert[1]];
+        const [, id] = req.url.match(/^\/responders\/police\/(\w+)(\/availability)?$/) || [];
+        if (id) return { availability: body ? body.availability : assignments[id][0], currentAlertId: assignments[id][1] };
+        return [];
+    });
+    directions = await startStub(() => ({ durations: [300] }));
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url, DIRECTIONS_SERVICE_URL: directions.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+    await directions.close();
+});
+
+async function report(identity, location) {
+    const response = await fetch(`${service.url}/${identity.role}/location`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...identityHeaders(identity) },
+        body: JSON.stringify({ location }),
+    });
+    return response.status;
+}
+
+const alertFetches = id => database.requests.filter(request => request.url === `/alerts/${id}`).length;
+
+async function publishedAs(routingKey) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const message = service.published.find(m => m.routingKey === routingKey);
+        if (message) return message.payload;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail(`Nothing was published as ${routingKey}.`);
+}
+
+test('positions are saved for the caller and published under their geohash', async () => {
+    assert.strictEqual(await report({ id: 'F1', role: 'firefighter' }, { lat: 12.97, lng: 77.59 }), 204);
+    const saved = database.requests.find(request => request.method === 'PUT');
+    assert.strictEqual(saved.url, '/responders/firefighter/F1/location');
+    assert.deepStrictEqual(saved.body, { location: { lat: 12.97, lng: 77.59 } });
+    assert.deepStrictEqual(await publishedAs('location.updated.tdr1v957d'), { type: 'firefighter', id: 'F1', location: { lat: 12.97, lng: 77.59 }, lastSeen: 42 });
+});
+
+test('invalid positions are rejected', async () => {
+    assert.strictEqual(await report({ id: 'F1', role: 'firefighter' }, { lat: 91, lng: 0 }), 400);
+});
+
+test('the position and ETA of a responder on the way are published for the citizen who raised the alert', async () => {
+    await report({ id: 'P5', role: 'police' }, { lat: 12.96, lng: 77.59 });
+    assert.deepStrictEqual(await publishedAs('alert.tracking.7'), {
+        alertId: 7,
+        citizenId: 'c1',
+        responder: { type: 'police', id: 'P5' },
+        location: { lat: 12.96, lng: 77.59 },
+        lastSeen: 42,
+        availability: 'en_route',
+        etaSeconds: 300,
+    });
+    assert.deepStrictEqual(directions.requests[0].body, { origins: [{ lat: 12.96, lng: 77.59 }], destination: { lat: 12.97, lng: 77.59 } });
+
+    // The alert and the ETA are only fetched again every TRACKING_ETA_REFRESH_MS.
+    service.published.length = 0;
+    await report({ id: 'P5', role: 'police' }, { lat: 12.965, lng: 77.59 });
+    assert.strictEqual((await publishedAs('alert.tracking.7')).etaSeconds, 300);
+    assert.strictEqual(directions.requests.length, 1);
+    assert.strictEqual(alertFetches(7), 1);
+});
+
+test('responders on the scene are published with no time left', async () => {
+    service.published.length = 0;
+    await report({ id: 'P6', role: 'police' }, { lat: 12.97, lng: 77.59 });
+    const tracking = await publishedAs('alert.tracking.7');
+    assert.strictEqual(tracking.availability, 'on_scene');
+    assert.strictEqual(tracking.etaSeconds, 0);
+});
+
+test('nothing is tracked once the alert is no longer accepted', async () => {
+    await report({ id: 'P7', role: 'police' }, { lat: 12.97, lng: 77.59 });
+    await publishedAs('location.updated.tdr1v957d');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(service.published.some(m => m.routingKey === 'alert.tracking.8'), false);
+});
+
+test('changing availability starts tracking afresh', async () => {
+    const fetches = alertFetches(7);
+    const response = await fetch(`${service.url}/police/availability`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...identityHeaders({ id: 'P5', role: 'police' }) },
+        body: JSON.stringify({ availability: 'en_route' }),
+    });
+    assert.strictEqual(response.status, 200);
+
+    service.published.length = 0;
+    await report({ id: 'P5', role: 'police' }, { lat: 12.966, lng: 77.59 });
+    await publishedAs('alert.tracking.7');
+    assert.strictEqual(alertFetches(7), fetches + 1);
+    assert.strictEqual(directions.requests.length, 2);
+});
+
+test('tracking stops as soon as the alert is resolved', async () => {
+    alerts[7] = { ...alerts[7], status: 'resolved' };
+    service.publish('alert.updated.tdr1', alerts[7]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const fetches = alertFetches(7);
+    service.published.length = 0;
+    await report({ id: 'P5', role: 'police' }, { lat: 12.967, lng: 77.59 });
+    await publishedAs('location.updated.tdr1v957d');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(service.published.some(m => m.routingKey === 'alert.tracking.7'), false);
+    assert.strictEqual(alertFetches(7), fetches + 1);
+});
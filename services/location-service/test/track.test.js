@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, identityHeaders } = require('../../../shared/testing');
+
+// Runs the Location Service against a stub Database Service whose responders all reported
+// three positions, and that finds one nearby responder.
+let database;
+let service;
+before(async () => {
+    database = await startStub(req => {
+        if (req.url.includes('/track?')) return [1, 2, 3].map(i => ({ lat: 12.97, lng: 77.59, recordedAt: i }));
+        if (req.url === '/responders/nearby') return [{ id: 'P1', type: 'police', distanceKm: 1.23456, lastSeen: 5, locationLat: 12.98, locationLng: 77.59 }];
+        return [];
+    });
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+async function getTrack(identity, url) {
+    const response = await fetch(`${service.url}${url}`, { headers: identityHeaders(identity) });
+    return { status: response.status, body: await response.json() };
+}
+
+test('responders can see their own track, supervisors those of their type and admins any', async () => {
+    const allowed = [
+        { id: 'P1', role: 'police' },
+        { id: 'S1', role: 'police', accessLevel: 'supervisor' },
+        { id: 'A1', role: 'firefighter', accessLevel: 'admin' },
+    ];
+    for (const identity of allowed) {
+        const { status, body } = await getTrack(identity, '/police/track/P1?from=0&to=10');
+        assert.strictEqual(status, 200, identity.id);
+        assert.deepStrictEqual(body.points.map(point => point.recordedAt), [1, 2, 3]);
+        assert.strictEqual(body.truncated, false);
+    }
+    for (const identity of [{ id: 'P2', role: 'police' }, { id: 'P1', role: 'traffic' }, { id: 'S2', role: 'traffic', accessLevel: 'supervisor' }]) {
+        assert.strictEqual((await getTrack(identity, '/police/track/P1')).status, 403, `${identity.role} ${identity.id}`);
+    }
+});
+
+test('tracks span the last hour by default', async () => {
+    const before = Date.now();
+    const { body } = await getTrack({ id: 'P1', role: 'police' }, '/police/track/P1');
+    assert.ok(body.to >= before && body.to <= Date.now());
+    assert.strictEqual(body.to - body.from, 60 * 60 * 1000);
+    const query = new URLSearchParams(database.requests.pop().url.split('?')[1]);
+    assert.strictEqual(query.get('from'), String(body.from));
+    assert.strictEqual(query.get('limit'), '5001');
+});
+
+test('invalid ranges are rejected', async () => {
+    for (const query of ['from=10&to=5', 'from=abc', 'from=-1&to=5']) {
+        assert.strictEqual((await getTrack({ id: 'P1', role: 'police' }, `/police/track/P1?${query}`)).status, 400, query);
+    }
+});
+
+test('dispatch searches leave out positions older than the stale threshold', async () => {
+    const search = async (body) => {
+        const response = await fetch(`${service.url}/find-nearby`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ location: { lat: 12.97, lng: 77.59 }, responderType: 'police', ...body }),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const started = Date.now();
+    const { body } = await search({});
+    assert.deepStrictEqual(body.responders, [{ id: 'P1', type: 'police', distanceKm: 1.235, lastSeen: 5 }]);
+    const sent = database.requests.filter(request => request.url === '/responders/nearby').pop().body;
+    assert.ok(sent.seenSince >= started - 10 * 60 * 1000 && sent.seenSince <= Date.now() - 10 * 60 * 1000);
+    assert.deepStrictEqual(sent.availability, ['available']);
+
+    await search({ maxAgeMs: 1000 });
+    assert.ok(database.requests.filter(request => request.url === '/responders/nearby').pop().body.seenSince >= started - 1000);
+    assert.strictEqual((await search({ maxAgeMs: 0 })).status, 400);
+});
@@ -1,9 +1,10 @@
 
 const { Expo } = require('expo-server-sdk');
 const fetch = require('node-fetch');
-const { connect: connectMessageQueue, subscribe } = require('../../shared/message-queue');
+const { connect: connectMessageQueue } = require('../../shared/message-queue');
 
 const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://database-service:3008';
+const DELIVERIES_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
 const expo = new Expo();
 
 const dbService = {
@@ -26,59 +27,105 @@ const dbService = {
 const NotificationsService = {
     async initialize() {
         console.log("Initializing Notifications Service...");
-        await connectMessageQueue();
+        const { subscribe } = await connectMessageQueue('notifications-service');
 
-        // Subscribe to events that should trigger a push notification.
-        subscribe('alert.created', this.handleAlertCreated);
+        // Subscribe to events that should trigger a push notification. The durable queue keeps
+        // events published while this service is down, and failed deliveries are retried.
+        await subscribe('alert.created', this.handleAlertCreated);
+        // Escalations carry only the responders newly targeted by the wider search radius.
+        await subscribe('alert.escalated', this.handleAlertCreated);
+
+        setInterval(() => NotificationsService._purgeDeliveries(), DELIVERIES_PURGE_INTERVAL_MS);
 
         console.log('Notifications Service Initialized and subscribed to message queue.');
     },
 
     async handleAlertCreated(msg) {
         try {
-            const { targetedOfficers, alert } = JSON.parse(msg.content.toString());
+            const { targetedOfficers, targetedResponders, alert } = JSON.parse(msg.content.toString());
+            const isEscalation = msg.fields.routingKey === 'alert.escalated';
 
             if (!targetedOfficers || targetedOfficers.length === 0) {
                 console.log(`[Notifications] No officers targeted for alert #${alert.id}. No notifications sent.`);
                 return;
             }
 
-            // 1. Get the push tokens for the targeted officers from the database service.
-            const officers = await dbService.request('/police/by-badges', {
-                method: 'POST',
-                body: JSON.stringify({ badgeNumbers: targetedOfficers })
-            });
+            // 1. Get the push tokens for the targeted responders from the database service. Events
+            // published before alerts targeted several responder types only name police officers.
+            const responders = targetedResponders || targetedOfficers.map(id => ({ id, type: 'police' }));
+            const accounts = await dbService.request('/responders/lookup', { method: 'POST', body: JSON.stringify({ responders }) });
 
-            const pushTokens = officers
+            const validTokens = accounts
                 .map(o => o.pushToken)
                 .filter(token => token && Expo.isExpoPushToken(token));
 
-            if (pushTokens.length === 0) {
+            if (validTokens.length === 0) {
                 console.log(`[Notifications] No valid push tokens found for targeted officers of alert #${alert.id}.`);
                 return;
             }
 
+            // A retried event only goes to the devices its earlier attempts did not reach.
+            const { delivered } = await dbService.request(`/alerts/${alert.id}/push-deliveries/lookup`, {
+                method: 'POST',
+                body: JSON.stringify({ pushTokens: validTokens }),
+            });
+            const pushTokens = validTokens.filter(token => !delivered.includes(token));
+            if (pushTokens.length === 0) {
+                console.log(`[Notifications] Every targeted device was already notified of alert #${alert.id}.`);
+                return;
+            }
+
             // 2. Construct the notification messages.
             const messages = pushTokens.map(pushToken => ({
                 to: pushToken,
                 sound: 'default',
-                title: '🚨 New Emergency Alert!',
+                title: isEscalation ? '🚨 Emergency Alert Needs Responders!' : '🚨 New Emergency Alert!',
                 body: alert.message || 'A new voice alert has been received in your area.',
                 data: { alertId: alert.id }, // Can be used to deep-link into the app
             }));
 
-            // 3. Send the notifications.
-            const chunks = expo.chunkPushNotifications(messages);
-            for (const chunk of chunks) {
-                await expo.sendPushNotificationsAsync(chunk);
+            // 3. Send the notifications, recording the devices Expo accepted. Expo answers each
+            // chunk with a ticket per message, in order; messages it rejected, and chunks that
+            // failed altogether, are left for the retry.
+            let sentCount = 0;
+            let failure = null;
+            for (const chunk of expo.chunkPushNotifications(messages)) {
+                let tickets;
+                try {
+                    tickets = await expo.sendPushNotificationsAsync(chunk);
+                } catch (error) {
+                    failure = error;
+                    continue;
+                }
+                const sentTokens = chunk.filter((message, i) => tickets[i].status === 'ok').map(message => message.to);
+                const rejected = tickets.filter(ticket => ticket.status !== 'ok');
+                if (rejected.length > 0) {
+                    failure = new Error(`Expo rejected ${rejected.length} push notifications: ${rejected.map(ticket => ticket.message).join('; ')}`);
+                }
+                if (sentTokens.length > 0) {
+                    await dbService.request(`/alerts/${alert.id}/push-deliveries`, { method: 'POST', body: JSON.stringify({ pushTokens: sentTokens }) });
+                }
+                sentCount += sentTokens.length;
             }
 
-            console.log(`[Notifications] Sent ${pushTokens.length} push notifications for alert #${alert.id}.`);
+            console.log(`[Notifications] Sent ${sentCount} of ${pushTokens.length} push notifications for alert #${alert.id}.`);
+            if (failure) throw failure;
+
+        } catch (error) {
+            console.error(`[Notifications] Error handling ${msg.fields.routingKey} event:`, error);
+            // Rethrow so the message queue retries the delivery and eventually dead-letters it.
+            throw error;
+        }
+    },
 
+    async _purgeDeliveries() {
+        try {
+            const { purgedCount } = await dbService.request('/push-deliveries/purge', { method: 'POST', body: JSON.stringify({}) });
+            if (purgedCount > 0) console.log(`[Notifications] Purged ${purgedCount} push delivery records.`);
         } catch (error) {
-            console.error('[Notifications] Error handling alert.created event:', error);
+            console.error('[Notifications] Failed to purge push delivery records:', error);
         }
-    }
+    },
 };
 
 NotificationsService.initialize();
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, reply } = require('../../../shared/testing');
+
+const REACHABLE = 'ExponentPushToken[reachable]';
+const FLAKY = 'ExponentPushToken[flaky]';
+
+// Runs the Notifications Service against a stub Database Service and a stub Expo push API that
+// rejects the flaky device's first notification.
+let database;
+let expo;
+let service;
+const delivered = new Set();
+before(async () => {
+    database = await startStub((req, body) => {
+        if (req.url === '/responders/lookup') return [{ type: 'police', id: 'p1', pushToken: REACHABLE }, { type: 'police', id: 'p2', pushToken: FLAKY }];
+        if (req.url === '/alerts/1/push-deliveries/lookup') return { delivered: body.pushTokens.filter(token => delivered.has(token)) };
+        if (req.url === '/alerts/1/push-deliveries') {
+            body.pushTokens.forEach(token => delivered.add(token));
+            return reply(204);
+        }
+        return {};
+    });
+    let flakyAttempts = 0;
+    expo = await startStub((req, messages) => ({
+        data: messages.map(message => (message.to === FLAKY && ++flakyAttempts === 1
+            ? { status: 'error', message: 'Temporarily unavailable.', details: {} }
+            : { status: 'ok', id: `ticket-${message.to}` })),
+    }));
+    service = await startService(path.join(__dirname, '..', 'index.js'), {
+        DATABASE_SERVICE_URL: database.url,
+        EXPO_BASE_URL: expo.url,
+        MQ_RETRY_BASE_DELAY_MS: '50',
+    }, { ready: 'Initialized and subscribed' });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+    await expo.close();
+});
+
+async function waitFor(check) {
+    for (let attempt = 0; attempt < 100 && !check(); attempt++) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(check());
+}
+
+test('only devices whose ticket is ok are recorded, and the others are retried', async () => {
+    service.publish('alert.created', {
+        targetedOfficers: ['p1', 'p2'],
+        targetedResponders: [{ type: 'police', id: 'p1' }, { type: 'police', id: 'p2' }],
+        alert: { id: 1, message: 'Help' },
+    });
+
+    await waitFor(() => delivered.has(FLAKY));
+    const recorded = database.requests.filter(request => request.url === '/alerts/1/push-deliveries').map(request => request.body.pushTokens);
+    assert.deepStrictEqual(recorded, [[REACHABLE], [FLAKY]]);
+    const sent = expo.requests.map(request => request.body.map(message => message.to));
+    assert.deepStrictEqual(sent, [[REACHABLE, FLAKY], [FLAKY]]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Areas that WebSocket clients watch instead of exact `geo:` topics: a viewport bounding box
+ * (`{ bbox: [minLat, minLng, maxLat, maxLng] }`) or a point and radius (`{ center: { lat, lng }, radiusKm }`).
+ *
+ * Each area is indexed under the geohash cells covering it, so an event only has to be checked
+ * against the areas indexed under its own cells. Small areas get small cells and large ones large
+ * cells, so events are matched at every precision. Cells overhang the area, so events are then
+ * checked against the area itself.
+ */
+
+const ngeohash = require('ngeohash');
+const { haversineKm, radiusInDegrees, cellSize } = require('../../shared/geo');
+
+// Events are matched against areas at every precision up to this one.
+const MAX_PRECISION = 9;
+// An area is covered by at most this many geohash cells, of the finest precision that allows it.
+const MAX_CELLS_PER_AREA = 16;
+const MAX_AREA_ID_LENGTH = 64;
+
+const isLatitude = (n) => typeof n === 'number' && n >= -90 && n <= 90;
+const isLongitude = (n) => typeof n === 'number' && n >= -180 && n <= 180;
+
+/**
+ * Validates an area sent by a client and adds the bounding box of radius areas.
+ * @returns {{ area?: { id: string|undefined, bbox: number[], center?: object, radiusKm?: number }, error?: string }}
+ */
+function parseArea(payload) {
+    const { id, bbox, center, radiusKm } = payload || {};
+    if (id !== undefined && (typeof id !== 'string' || id.length === 0 || id.length > MAX_AREA_ID_LENGTH)) {
+        return { error: `Area id must be a string of at most ${MAX_AREA_ID_LENGTH} characters.` };
+    }
+    if (bbox !== undefined) {
+        if (!Array.isArray(bbox) || bbox.length !== 4) return { error: 'bbox must be [minLat, minLng, maxLat, maxLng].' };
+        const [minLat, minLng, maxLat, maxLng] = bbox;
+        if (![minLat, maxLat].every(isLatitude) || ![minLng, maxLng].every(isLongitude) || minLat > maxLat || minLng > maxLng) {
+            return { error: 'bbox must be [minLat, minLng, maxLat, maxLng], with each minimum below its maximum.' };
+        }
+        return { area: { id, bbox } };
+    }
+    if (!center || !isLatitude(center.lat) || !isLongitude(center.lng)) return { error: 'An area needs a bbox, or a center with lat and lng.' };
+    if (typeof radiusKm !== 'number' || !(radiusKm > 0)) return { error: 'radiusKm must be a positive number.' };
+    const { latDeg, lngDeg } = radiusInDegrees(center, radiusKm);
+    return {
+        area: {
+            id,
+            center: { lat: center.lat, lng: center.lng },
+            radiusKm,
+            bbox: [
+                Math.max(center.lat - latDeg, -90), Math.max(center.lng - lngDeg, -180),
+                Math.min(center.lat + latDeg, 90), Math.min(center.lng + lngDeg, 180),
+            ],
+        },
+    };
+}
+
+// How many cells of a given size it takes to span a range of degrees, along one axis.
+function cellsAcross(min, max, origin, cellSizeDeg) {
+    return Math.floor((max - origin) / cellSizeDeg) - Math.floor((min - origin) / cellSizeDeg) + 1;
+}
+
+/**
+ * Returns the geohash cells covering an area at the finest precision, down to `minPrecision`,
+ * at which it takes at most MAX_CELLS_PER_AREA of them. Around the area's middle, these are a
+ * cell and its neighbours. Returns null if the area is too large for cells of `minPrecision`.
+ * @returns {{ precision: number, cells: string[] }|null}
+ */
+function coveringCells(area, minPrecision) {
+    const [minLat, minLng, maxLat, maxLng] = area.bbox;
+    for (let precision = MAX_PRECISION; precision >= minPrecision; precision--) {
+        const { heightDeg, widthDeg } = cellSize(precision);
+        const count = cellsAcross(minLat, maxLat, -90, heightDeg) * cellsAcross(minLng, maxLng, -180, widthDeg);
+        if (count <= MAX_CELLS_PER_AREA) {
+            return { precision, cells: ngeohash.bboxes(minLat, minLng, maxLat, maxLng, precision) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a location lies within an area.
+ */
+function contains(area, location) {
+    if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') return false;
+    if (area.center) return haversineKm(area.center, location) <= area.radiusKm;
+    const [minLat, minLng, maxLat, maxLng] = area.bbox;
+    return location.lat >= minLat && location.lat <= maxLat && location.lng >= minLng && location.lng <= maxLng;
+}
+
+/**
+ * The cells a location lies in, at every precision areas are indexed at, coarsest first.
+ */
+function cellsOf(location) {
+    const geohash = ngeohash.encode(location.lat, location.lng, MAX_PRECISION);
+    const cells = [];
+    for (let precision = 1; precision <= MAX_PRECISION; precision++) cells.push(geohash.slice(0, precision));
+    return cells;
+}
+
+module.exports = { parseArea, coveringCells, contains, cellsOf };
@@ -1,16 +1,56 @@
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const fetch = require('node-fetch');
-const { connect: connectMessageQueue, subscribe } = require('../../shared/message-queue');
+const { connect: connectMessageQueue } = require('../../shared/message-queue');
+const { getIdentity, verifyAccessToken } = require('../../shared/auth');
+const { RESPONDER_ROLES, acceptedResponders } = require('../../shared/responders');
+const { ReplayBuffer, REPLAY_WINDOW_MS } = require('./replay-buffer');
+const { parseArea, coveringCells, contains, cellsOf } = require('./areas');
 
 const PORT = process.env.PORT || 3006;
 const DATABASE_SERVICE_URL = process.env.DATABASE_SERVICE_URL || 'http://database-service:3008';
+const AUTH_GRACE_PERIOD_MS = parseInt(process.env.WS_AUTH_GRACE_PERIOD_MS || '10000', 10);
+const WS_CLOSE_UNAUTHENTICATED = 4401;
+// Every socket is pinged this often; one that has not answered the previous ping by then is closed.
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS || '30000', 10);
+// A newly watched area is sent at most this many of its active alerts, the most recent first.
+const MAX_INITIAL_AREA_ALERTS = 200;
+// Responder positions are sent to each client at most this often, coalesced to the latest position of each responder.
+const LOCATION_FLUSH_INTERVAL_MS = parseInt(process.env.WS_LOCATION_FLUSH_INTERVAL_MS || '1000', 10);
+
+const GEO_TOPIC_PATTERN = /^geo:[0123456789bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+
+// What each role may do over the socket: which inbound message types it may send, which
+// `geo:` topics and areas it may subscribe to, and which outbound message types it receives.
+// Areas must be coverable with cells of at least `minGeohashPrecision`.
+// Every responder type has the same permissions.
+const RESPONDER_PERMISSIONS = {
+    messageTypes: ['auth', 'subscribe', 'unsubscribe', 'resume', 'subscribe_area', 'unsubscribe_area'],
+    minGeohashPrecision: 3,
+    maxTopics: 64,
+    maxAreas: 16,
+    receives: ['initial_alerts', 'alert_created', 'alert_updated', 'alert_deleted', 'initial_locations', 'locations_updated', 'alert_message', 'alert_message_read'],
+};
+const ROLE_PERMISSIONS = {
+    citizen: {
+        messageTypes: ['auth', 'subscribe', 'unsubscribe', 'resume', 'subscribe_area', 'unsubscribe_area'],
+        minGeohashPrecision: 4, // No wider than a single ~39km x 19.5km cell per topic.
+        maxTopics: 9, // A cell and its eight neighbours.
+        maxAreas: 2,
+        receives: ['initial_alerts', 'alert_created', 'alert_updated', 'alert_deleted', 'my_alerts', 'my_alert_updated', 'alert_tracking', 'alert_message', 'alert_message_read'],
+    },
+    ...Object.fromEntries(RESPONDER_ROLES.map(role => [role, RESPONDER_PERMISSIONS])),
+};
 
 const server = http.createServer();
 const wss = new WebSocketServer({ server });
 
 // In-memory mapping of a WebSocket connection to the authenticated user's details.
 const clientMetadata = new Map();
+// The areas clients watch, by each geohash cell covering them: cell -> Set of { ws, metadata, area }.
+const areaIndex = new Map();
+// Each citizen's sockets, which follow the alerts the citizen raised: citizen ID -> Set of sockets.
+const citizenSockets = new Map();
 
 const dbService = {
     async request(path, options = {}) {
@@ -27,47 +67,102 @@ const dbService = {
 
 const WebSocketService = {
     async initialize() {
-        await connectMessageQueue();
+        const { subscribe } = await connectMessageQueue('websocket-service');
 
         wss.on('connection', this.handleConnection);
 
         // Subscribe to all alert events with a wildcard for geohash.
-        subscribe('alert.created.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_created'));
-        subscribe('alert.updated.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_updated'));
-        subscribe('alert.deleted.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_deleted'));
+        // Queues are exclusive because every instance must push every event to its own sockets.
+        subscribe('alert.created.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_created'), { exclusive: true });
+        subscribe('alert.updated.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_updated'), { exclusive: true });
+        subscribe('alert.deleted.*', (msg) => this.routeAlertToSubscribers(msg, 'alert_deleted'), { exclusive: true });
+
+        // Responder positions, routed by their geohash like alerts.
+        subscribe('location.updated.*', (msg) => this.routeLocationToSubscribers(msg), { exclusive: true });
+        // Where the responders handling an alert are, for the citizen who raised it.
+        subscribe('alert.tracking.*', (msg) => this.routeTrackingToCitizen(msg), { exclusive: true });
+        // Chat messages and read receipts, for the citizen and the responders handling the alert.
+        subscribe('alert.message.*', (msg) => this.routeChatToParticipants(msg, 'alert_message'), { exclusive: true });
+        subscribe('alert.message_read.*', (msg) => this.routeChatToParticipants(msg, 'alert_message_read'), { exclusive: true });
 
-        // Keep location broadcast for now as it's global for officers
-        subscribe('location.broadcast', () => this.broadcastLocations());
+        setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+        setInterval(() => ReplayBuffer.prune(), REPLAY_WINDOW_MS);
 
         server.listen(PORT, () => console.log(`WebSocket Service listening on port ${PORT}`));
         console.log("WebSocket Service Initialized and subscribed to message queue.");
     },
 
-    handleConnection(ws) {
+    /**
+     * Registers a new socket. If the API Gateway verified a token during the handshake, the
+     * socket is authenticated immediately; otherwise the client must send an `auth` message
+     * with a valid token before the grace period ends or the socket is closed.
+     */
+    handleConnection(ws, req) {
         console.log('[WS] Client connected.');
-        clientMetadata.set(ws, { topics: new Set() }); // Initialize with empty subscriptions
+        const metadata = {
+            topics: new Set(), // Initialize with empty subscriptions
+            areas: new Map(), // Watched areas by ID, each with the cells it is indexed under.
+            areaCounter: 0, // Numbers the areas a client does not name.
+            ownAlertsQueue: Promise.resolve(), // Keeps a citizen's own alert updates in order.
+            identity: null,
+            authTimer: null,
+            pendingLocations: new Map(), // Latest unsent position of each responder, by type and ID.
+            locationTimer: null,
+            lastLocationFlush: 0,
+            isAlive: true, // Whether the socket answered the last heartbeat ping.
+        };
+        clientMetadata.set(ws, metadata);
+        ws.on('pong', () => { metadata.isAlive = true; });
+
+        const handshakeIdentity = getIdentity(req);
+        if (handshakeIdentity && ROLE_PERMISSIONS[handshakeIdentity.role]) {
+            WebSocketService.authenticateClient(ws, metadata, handshakeIdentity);
+        } else {
+            metadata.authTimer = setTimeout(() => {
+                console.warn('[WS] Closing socket that did not authenticate in time.');
+                ws.close(WS_CLOSE_UNAUTHENTICATED, 'Authentication required');
+            }, AUTH_GRACE_PERIOD_MS);
+        }
 
         ws.on('message', (message) => {
             try {
                 const data = JSON.parse(message);
-                const metadata = clientMetadata.get(ws);
-                if (!metadata) return;
+                if (!clientMetadata.get(ws)) return;
+
+                if (!metadata.identity && data.type !== 'auth') {
+                    return WebSocketService.sendError(ws, 'Authenticate before sending other messages.');
+                }
+                const permissions = metadata.identity && ROLE_PERMISSIONS[metadata.identity.role];
+                if (permissions && !permissions.messageTypes.includes(data.type)) {
+                    return WebSocketService.sendError(ws, `Message type '${data.type}' is not allowed for role ${metadata.identity.role}.`);
+                }
 
                 switch(data.type) {
                     case 'auth':
-                        console.log(`[WS] Auth message received for user: ${data.payload.mobile}`);
-                        metadata.role = data.payload.role;
-                        metadata.mobile = data.payload.mobile;
+                        WebSocketService.handleAuthMessage(ws, metadata, data.payload);
                         break;
-                    case 'subscribe':
-                        data.payload.topics.forEach(topic => metadata.topics.add(topic));
-                        console.log(`[WS] Client subscribed to: ${data.payload.topics.join(', ')}`);
-                        WebSocketService.sendInitialAlerts(ws, data.payload.topics);
+                    case 'subscribe': {
+                        const topics = WebSocketService.filterAllowedTopics(ws, metadata, data.payload.topics);
+                        topics.forEach(topic => metadata.topics.add(topic));
+                        console.log(`[WS] Client subscribed to: ${topics.join(', ')}`);
+                        WebSocketService.sendSequences(ws, 'subscribed', topics);
+                        WebSocketService.sendInitialAlerts(ws, metadata, topics);
+                        if (WebSocketService.canReceive(metadata, 'initial_locations')) WebSocketService.sendInitialLocations(ws, topics);
                         break;
+                    }
                     case 'unsubscribe':
                          data.payload.topics.forEach(topic => metadata.topics.delete(topic));
                         console.log(`[WS] Client unsubscribed from: ${data.payload.topics.join(', ')}`);
                         break;
+                    case 'resume':
+                        WebSocketService.handleResume(ws, metadata, data.payload);
+                        break;
+                    case 'subscribe_area':
+                        WebSocketService.subscribeArea(ws, metadata, data.payload);
+                        break;
+                    case 'unsubscribe_area':
+                        WebSocketService.unsubscribeArea(metadata, data.payload && data.payload.id);
+                        break;
                 }
             } catch (error) {
                 console.error('[WS] Error parsing message:', error);
@@ -76,11 +171,315 @@ const WebSocketService = {
 
         ws.on('close', () => {
             console.log('[WS] Client disconnected.');
+            clearTimeout(metadata.authTimer);
+            clearTimeout(metadata.locationTimer);
+            for (const id of [...metadata.areas.keys()]) WebSocketService.unsubscribeArea(metadata, id);
+            if (metadata.identity && metadata.identity.role === 'citizen') {
+                const sockets = citizenSockets.get(metadata.identity.id);
+                sockets?.delete(ws);
+                if (sockets?.size === 0) citizenSockets.delete(metadata.identity.id);
+            }
             clientMetadata.delete(ws);
         });
     },
 
-    async sendInitialAlerts(ws, topics) {
+    /**
+     * Closes sockets that did not answer the previous ping, e.g. of a phone that lost its
+     * connection without closing it, and pings the others.
+     */
+    checkHeartbeats() {
+        for (const client of wss.clients) {
+            const metadata = clientMetadata.get(client);
+            if (!metadata || !metadata.isAlive) {
+                console.warn('[WS] Terminating socket that missed a heartbeat.');
+                client.terminate();
+                continue;
+            }
+            metadata.isAlive = false;
+            client.ping();
+        }
+    },
+
+    /**
+     * Picks up where a reconnecting client left off. The payload gives, per topic, the sequence
+     * number of the last event the client saw, and the epoch they belong to:
+     * `{ epoch, topics: { 'geo:tdr1': 42 } }`. The client is subscribed to the topics again and
+     * sent the events it missed, in order. Topics whose missed events are no longer all buffered
+     * get a fresh `initial_alerts` snapshot instead and are listed as `resynced`.
+     */
+    handleResume(ws, metadata, payload) {
+        const { epoch, topics: lastSeqs } = payload || {};
+        if (!lastSeqs || typeof lastSeqs !== 'object' || Array.isArray(lastSeqs)) {
+            return WebSocketService.sendError(ws, 'Resume needs `topics`, mapping each topic to the last sequence number seen.');
+        }
+        const requested = Object.keys(lastSeqs);
+        const topics = [
+            ...requested.filter(topic => metadata.topics.has(topic)),
+            ...WebSocketService.filterAllowedTopics(ws, metadata, requested.filter(topic => !metadata.topics.has(topic))),
+        ];
+        topics.forEach(topic => metadata.topics.add(topic));
+
+        const resynced = [];
+        let replayedCount = 0;
+        for (const topic of topics) {
+            const missed = epoch === ReplayBuffer.epoch ? ReplayBuffer.eventsSince(topic, lastSeqs[topic]) : null;
+            if (!missed) {
+                resynced.push(topic);
+                continue;
+            }
+            for (const event of missed) {
+                if (!WebSocketService.canReceive(metadata, event.type)) continue;
+                const [payload] = WebSocketService.viewFor(metadata, [event.payload]);
+                ws.send(JSON.stringify({ type: event.type, topic, seq: event.seq, payload }));
+                replayedCount++;
+            }
+        }
+        console.log(`[WS] Client resumed ${topics.length} topics: replayed ${replayedCount} events, resynced ${resynced.length} topics.`);
+        WebSocketService.sendSequences(ws, 'resumed', topics, { replayedCount, resynced });
+        WebSocketService.sendInitialAlerts(ws, metadata, resynced);
+        // Positions are not replayed; the client gets them afresh.
+        if (WebSocketService.canReceive(metadata, 'initial_locations')) WebSocketService.sendInitialLocations(ws, topics);
+    },
+
+    /**
+     * Tells a client the epoch and the sequence number each of some topics continues from, i.e.
+     * what to resume them from if no event arrives on them before the connection is lost.
+     */
+    sendSequences(ws, messageType, topics, details = {}) {
+        if (ws.readyState !== 1) return;
+        const seq = ReplayBuffer.currentSeq();
+        const sequences = Object.fromEntries(topics.map(topic => [topic, seq]));
+        ws.send(JSON.stringify({ type: messageType, payload: { epoch: ReplayBuffer.epoch, topics: sequences, ...details } }));
+    },
+
+    handleAuthMessage(ws, metadata, payload) {
+        if (metadata.identity) return; // Already authenticated during the handshake.
+        try {
+            const identity = verifyAccessToken(payload && payload.token);
+            if (!ROLE_PERMISSIONS[identity.role]) throw new Error(`Unsupported role ${identity.role}`);
+            WebSocketService.authenticateClient(ws, metadata, identity);
+        } catch (error) {
+            console.warn(`[WS] Rejected auth message: ${error.message}`);
+            WebSocketService.sendError(ws, 'Invalid or expired access token.');
+            ws.close(WS_CLOSE_UNAUTHENTICATED, 'Invalid token');
+        }
+    },
+
+    authenticateClient(ws, metadata, identity) {
+        clearTimeout(metadata.authTimer);
+        metadata.authTimer = null;
+        metadata.identity = identity;
+        console.log(`[WS] Client authenticated as ${identity.role} ${identity.id}.`);
+        ws.send(JSON.stringify({ type: 'auth_ok', payload: { id: identity.id, role: identity.role } }));
+        if (identity.role === 'citizen') {
+            if (!citizenSockets.has(identity.id)) citizenSockets.set(identity.id, new Set());
+            citizenSockets.get(identity.id).add(ws);
+            WebSocketService.sendOwnAlerts(ws, metadata, identity.id);
+        }
+    },
+
+    /**
+     * Sends a citizen who just connected the state of the alerts they raised that are still open,
+     * as `my_alerts`. `my_alert_updated` and `alert_tracking` messages then keep it up to date.
+     */
+    sendOwnAlerts(ws, metadata, citizenId) {
+        metadata.ownAlertsQueue = metadata.ownAlertsQueue.then(async () => {
+            const { alerts } = await dbService.request(`/alerts?citizenId=${encodeURIComponent(citizenId)}&status=new,accepted`);
+            const payload = await Promise.all(alerts.map(alert => WebSocketService.ownerView(alert)));
+            if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'my_alerts', payload }));
+        }).catch(e => console.error(`[WS] Failed to send citizen ${citizenId} their alerts:`, e));
+    },
+
+    /**
+     * Tells the citizen who raised an alert that it changed, as `my_alert_updated` with the event's
+     * type, whatever areas and topics they watch.
+     */
+    notifyAlertOwner(messageType, alertPayload) {
+        const sockets = citizenSockets.get(alertPayload.citizenId);
+        if (!sockets) return;
+        for (const ws of sockets) {
+            const metadata = clientMetadata.get(ws);
+            if (!metadata) continue;
+            // Responders are looked up for every update, so chain them to keep their order.
+            metadata.ownAlertsQueue = metadata.ownAlertsQueue.then(async () => {
+                const view = messageType === 'alert_deleted'
+                    ? { alert: { id: alertPayload.id }, responders: [] }
+                    : await WebSocketService.ownerView(alertPayload);
+                const payload = { event: messageType, ...view };
+                if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'my_alert_updated', payload }));
+            }).catch(e => console.error(`[WS] Failed to update citizen ${alertPayload.citizenId} on alert #${alertPayload.id}:`, e));
+        }
+    },
+
+    /**
+     * What citizens see of an alert: everything but which responders were targeted and how it
+     * was escalated.
+     */
+    citizenView(alert) {
+        const { targetedOfficers, escalationHistory, units, ...rest } = alert;
+        return { ...rest, ...(units && { units: units.map(({ type, count, acceptedBy }) => ({ type, count, acceptedBy })) }) };
+    },
+
+    /**
+     * The alerts a client may see, as citizens see them if it is one.
+     */
+    viewFor(metadata, alerts) {
+        return metadata.identity.role === 'citizen' ? alerts.map(WebSocketService.citizenView) : alerts;
+    },
+
+    /**
+     * What the citizen who raised an alert sees of it: its citizen view, plus the name and
+     * designation of the responders who accepted it.
+     */
+    async ownerView(alert) {
+        const accepted = await acceptedResponders(alert, id => dbService.request(`/responders/accounts?id=${encodeURIComponent(id)}`));
+        const responders = accepted.length === 0 ? [] : await dbService.request('/responders/lookup', {
+            method: 'POST',
+            body: JSON.stringify({ responders: accepted }),
+        });
+        return {
+            alert: WebSocketService.citizenView(alert),
+            responders: responders.map(({ type, id, name, designation, department }) => ({ type, id, name, designation, department })),
+        };
+    },
+
+    routeTrackingToCitizen(msg) {
+        try {
+            const { citizenId, ...tracking } = JSON.parse(msg.content.toString());
+            const message = JSON.stringify({ type: 'alert_tracking', payload: tracking });
+            for (const ws of citizenSockets.get(citizenId) || []) {
+                if (ws.readyState === 1 && WebSocketService.canReceive(clientMetadata.get(ws), 'alert_tracking')) ws.send(message);
+            }
+        } catch (e) {
+            console.error('[WS] Error routing alert tracking:', e);
+        }
+    },
+
+    /**
+     * Sends a chat event to the sockets of the alert's participants, as listed in the event when
+     * it was published. Supervisors who are not participants read the thread over HTTP instead.
+     */
+    routeChatToParticipants(msg, messageType) {
+        try {
+            const { participants, ...payload } = JSON.parse(msg.content.toString());
+            const message = JSON.stringify({ type: messageType, payload });
+            const recipients = new Set(citizenSockets.get(participants.citizenId) || []);
+            for (const client of wss.clients) {
+                const identity = clientMetadata.get(client)?.identity;
+                if (identity && participants.responders.some(({ type, id }) => identity.role === type && identity.id === id)) recipients.add(client);
+            }
+            for (const ws of recipients) {
+                if (ws.readyState === 1 && WebSocketService.canReceive(clientMetadata.get(ws), messageType)) ws.send(message);
+            }
+        } catch (e) {
+            console.error(`[WS] Error routing ${messageType}:`, e);
+        }
+    },
+
+    /**
+     * Returns the requested topics the client's role may subscribe to, reporting any that were rejected.
+     */
+    filterAllowedTopics(ws, metadata, requestedTopics) {
+        const permissions = ROLE_PERMISSIONS[metadata.identity.role];
+        const allowed = [];
+        const rejected = [];
+        for (const topic of Array.isArray(requestedTopics) ? requestedTopics : []) {
+            const valid = typeof topic === 'string'
+                && GEO_TOPIC_PATTERN.test(topic)
+                && topic.length - 'geo:'.length >= permissions.minGeohashPrecision;
+            if (valid && metadata.topics.size + allowed.length < permissions.maxTopics) allowed.push(topic);
+            else rejected.push(topic);
+        }
+        if (rejected.length > 0) {
+            WebSocketService.sendError(ws, `Subscription rejected for topics: ${rejected.join(', ')}.`);
+        }
+        return allowed;
+    },
+
+    /**
+     * Starts sending a client the alerts and responder positions within an area, replacing any
+     * area it watches with the same `id`. Acknowledged with `area_subscribed`, giving the area's
+     * `id` and the `precision` and `cells` covering it, then followed by a snapshot of the area.
+     */
+    subscribeArea(ws, metadata, payload) {
+        const permissions = ROLE_PERMISSIONS[metadata.identity.role];
+        const { area, error } = parseArea(payload);
+        if (error) return WebSocketService.sendError(ws, error);
+        if (area.id === undefined) area.id = `area-${++metadata.areaCounter}`;
+        if (!metadata.areas.has(area.id) && metadata.areas.size >= permissions.maxAreas) {
+            return WebSocketService.sendError(ws, `You can watch at most ${permissions.maxAreas} areas at once.`);
+        }
+        const cover = coveringCells(area, permissions.minGeohashPrecision);
+        if (!cover) return WebSocketService.sendError(ws, `Area '${area.id}' is too large to watch.`);
+
+        WebSocketService.unsubscribeArea(metadata, area.id);
+        area.cells = cover.cells;
+        metadata.areas.set(area.id, area);
+        const entry = { ws, metadata, area };
+        for (const cell of area.cells) {
+            if (!areaIndex.has(cell)) areaIndex.set(cell, new Set());
+            areaIndex.get(cell).add(entry);
+        }
+        console.log(`[WS] Client watches area '${area.id}' through ${area.cells.length} cells of precision ${cover.precision}.`);
+        ws.send(JSON.stringify({ type: 'area_subscribed', payload: { id: area.id, precision: cover.precision, cells: area.cells } }));
+        WebSocketService.sendInitialAreaAlerts(ws, metadata, area);
+        if (WebSocketService.canReceive(metadata, 'initial_locations')) WebSocketService.sendInitialLocations(ws, area.cells.map(cell => `geo:${cell}`), area);
+    },
+
+    unsubscribeArea(metadata, id) {
+        const area = metadata.areas.get(id);
+        if (!area) return;
+        metadata.areas.delete(id);
+        for (const cell of area.cells) {
+            const entries = areaIndex.get(cell);
+            if (!entries) continue;
+            for (const entry of entries) {
+                if (entry.area === area) entries.delete(entry);
+            }
+            if (entries.size === 0) areaIndex.delete(cell);
+        }
+    },
+
+    /**
+     * Returns the clients watching an area that contains a location and may receive a message type.
+     */
+    findAreaSubscribers(location, messageType) {
+        const recipients = new Set();
+        if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') return recipients;
+        for (const cell of cellsOf(location)) {
+            for (const { ws, metadata, area } of areaIndex.get(cell) || []) {
+                if (ws.readyState === 1 && WebSocketService.canReceive(metadata, messageType) && contains(area, location)) recipients.add(ws);
+            }
+        }
+        return recipients;
+    },
+
+    sendError(ws, message) {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'error', payload: { message } }));
+    },
+
+    /**
+     * Checks whether an authenticated client's role is allowed to receive a message type.
+     */
+    canReceive(metadata, messageType) {
+        const permissions = metadata && metadata.identity && ROLE_PERMISSIONS[metadata.identity.role];
+        return !!permissions && permissions.receives.includes(messageType);
+    },
+
+    /**
+     * Sends the active alerts within a newly watched area as `initial_alerts`.
+     */
+    async sendInitialAreaAlerts(ws, metadata, area) {
+        try {
+            const { alerts } = await dbService.request(`/alerts?status=new,accepted&bbox=${area.bbox.join(',')}&limit=${MAX_INITIAL_AREA_ALERTS}`);
+            const payload = WebSocketService.viewFor(metadata, alerts.filter(alert => contains(area, alert.location)));
+            if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'initial_alerts', payload }));
+        } catch (e) {
+            console.error('[WS] Failed to fetch initial alerts for area:', e);
+        }
+    },
+
+    async sendInitialAlerts(ws, metadata, topics) {
         if (!topics || topics.length === 0) return;
 
         const geohashes = topics.map(topic => topic.replace('geo:', ''));
@@ -92,7 +491,7 @@ const WebSocketService = {
             // FIX: Always send an initial_alerts message, even if the payload is empty.
             // This initializes the client's state correctly and prevents race conditions.
             // The previous logic failed to send a message if 'alerts' was null or empty.
-            ws.send(JSON.stringify({ type: 'initial_alerts', payload: alerts || [] }));
+            ws.send(JSON.stringify({ type: 'initial_alerts', payload: WebSocketService.viewFor(metadata, alerts || []) }));
             if (alerts && alerts.length > 0) {
                  console.log(`[WS] Sent ${alerts.length} initial alerts to newly subscribed client.`);
             } else {
@@ -110,45 +509,98 @@ const WebSocketService = {
             const topic = `geo:${geohash}`;
             const alertPayload = JSON.parse(msg.content.toString());
 
-            const message = JSON.stringify({ type: messageType, payload: alertPayload });
-            let clientSentCount = 0;
+            // Numbered and kept even if nobody is subscribed now, for clients that resume later.
+            const seq = ReplayBuffer.record(topic, messageType, alertPayload);
+            const citizenPayload = WebSocketService.citizenView(alertPayload);
 
+            // Clients watching an area get the alert too, each once even if it also has the topic.
+            // Areas are not resumed, so the alert only carries its topic and number for clients
+            // subscribed to the topic itself.
+            const topicSubscribers = new Set();
             for (const client of wss.clients) {
                 const metadata = clientMetadata.get(client);
-                if (client.readyState === 1 && metadata?.topics.has(topic)) {
-                    client.send(message);
-                    clientSentCount++;
+                if (client.readyState === 1 && metadata?.topics.has(topic) && WebSocketService.canReceive(metadata, messageType)) {
+                    topicSubscribers.add(client);
                 }
             }
-            if(clientSentCount > 0) {
-                console.log(`[WS] Routed ${messageType} for alert #${alertPayload.id} to ${clientSentCount} clients subscribed to ${topic}.`);
+            const recipients = new Set([...topicSubscribers, ...WebSocketService.findAreaSubscribers(alertPayload.location, messageType)]);
+            for (const client of recipients) {
+                const payload = clientMetadata.get(client).identity.role === 'citizen' ? citizenPayload : alertPayload;
+                const message = topicSubscribers.has(client) ? { type: messageType, topic, seq, payload } : { type: messageType, payload };
+                client.send(JSON.stringify(message));
+            }
+            if (recipients.size > 0) {
+                console.log(`[WS] Routed ${messageType} for alert #${alertPayload.id} (${topic}) to ${recipients.size} clients.`);
             }
+            WebSocketService.notifyAlertOwner(messageType, alertPayload);
         } catch(e) {
             console.error(`[WS] Error routing message of type ${messageType}:`, e);
         }
     },
 
-    // This is a global broadcast and not geo-targeted, which is fine for officer locations for now.
-    async broadcastLocations() {
+    /**
+     * Sends the responders currently located in newly subscribed topics, or only those within
+     * an area covered by them, which later `locations_updated` messages then keep up to date.
+     */
+    async sendInitialLocations(ws, topics, area) {
+        if (topics.length === 0) return;
         try {
-            const officers = await dbService.request('/police');
-            const locations = officers.map(o => ({
-                badgeNumber: o.badgeNumber,
-                location: { lat: o.locationLat, lng: o.locationLng },
-            }));
-
-            console.log(`[WS] Broadcasting locations to police clients.`);
-            const message = JSON.stringify({ type: 'locations', payload: locations });
+            const responders = await dbService.request('/responders/by-geohashes', {
+                method: 'POST',
+                body: JSON.stringify({ geohashes: topics.map(topic => topic.replace('geo:', '')) }),
+            });
+            const payload = responders
+                .map(r => ({ type: r.type, id: r.id, location: { lat: r.locationLat, lng: r.locationLng }, lastSeen: r.lastSeen }))
+                .filter(r => !area || contains(area, r.location));
+            if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'initial_locations', payload }));
+        } catch (e) {
+            console.error('[WS] Failed to fetch initial locations for subscriber:', e);
+        }
+    },
+
+    /**
+     * Queues a responder's new position for every client subscribed to a cell containing it.
+     * Positions are indexed at a finer precision than topics, so a topic matches if its geohash
+     * is a prefix of the position's.
+     */
+    routeLocationToSubscribers(msg) {
+        try {
+            const geohash = msg.fields.routingKey.split('.').pop();
+            const update = JSON.parse(msg.content.toString());
+            const cells = [];
+            for (let precision = 1; precision <= geohash.length; precision++) cells.push(`geo:${geohash.slice(0, precision)}`);
+
+            const recipients = WebSocketService.findAreaSubscribers(update.location, 'locations_updated');
             for (const client of wss.clients) {
                 const metadata = clientMetadata.get(client);
-                if (client.readyState === 1 && metadata && metadata.role === 'police') {
-                    client.send(message);
+                if (client.readyState === 1 && WebSocketService.canReceive(metadata, 'locations_updated') && cells.some(cell => metadata.topics.has(cell))) {
+                    recipients.add(client);
                 }
             }
-        } catch (error) {
-            console.error('[WS] Failed to fetch and broadcast locations:', error);
+            recipients.forEach(client => WebSocketService.queueLocationUpdate(client, clientMetadata.get(client), update));
+        } catch (e) {
+            console.error('[WS] Error routing location update:', e);
         }
     },
+
+    /**
+     * Keeps only a responder's latest position until the client's next flush, so a client gets at
+     * most one `locations_updated` message per LOCATION_FLUSH_INTERVAL_MS however often responders report.
+     */
+    queueLocationUpdate(ws, metadata, update) {
+        metadata.pendingLocations.set(`${update.type}:${update.id}`, update);
+        if (metadata.locationTimer) return;
+        const wait = Math.max(0, metadata.lastLocationFlush + LOCATION_FLUSH_INTERVAL_MS - Date.now());
+        metadata.locationTimer = setTimeout(() => WebSocketService.flushLocationUpdates(ws, metadata), wait);
+    },
+
+    flushLocationUpdates(ws, metadata) {
+        metadata.locationTimer = null;
+        metadata.lastLocationFlush = Date.now();
+        const payload = [...metadata.pendingLocations.values()];
+        metadata.pendingLocations.clear();
+        if (ws.readyState === 1 && payload.length > 0) ws.send(JSON.stringify({ type: 'locations_updated', payload }));
+    },
 };
 
 WebSocketService.initialize();
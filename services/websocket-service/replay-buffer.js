@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE || '100', 10);
+const REPLAY_WINDOW_MS = parseInt(process.env.WS_REPLAY_WINDOW_MS || String(5 * 60 * 1000), 10); // 5 minutes
+
+/**
+ * Numbers the events routed to each topic and keeps the latest ones, so a client that lost its
+ * connection can resume from the last event it saw instead of missing what happened meanwhile.
+ *
+ * Sequence numbers are shared by all topics: they start at 1 and increase with every event, so
+ * the events of one topic are numbered in order but not one by one. They only live in this
+ * instance's memory: `epoch` changes whenever the service restarts, and sequence numbers from
+ * another epoch mean nothing. Each topic keeps at most REPLAY_BUFFER_SIZE events, none older
+ * than REPLAY_WINDOW_MS, and is forgotten once it has none left. Since numbers never repeat,
+ * nothing else has to be kept per topic; instead, positions older than an expired event are no
+ * longer trusted, as that event may have been on any topic.
+ */
+const ReplayBuffer = {
+    epoch: crypto.randomUUID(),
+    lastSeq: 0, // The latest sequence number given out, on any topic.
+    expiredThrough: 0, // The latest sequence number of an event that expired.
+    topics: new Map(), // topic -> { events: [{ seq, type, payload, timestamp }], oldest first, droppedThrough }
+
+    /**
+     * Numbers an event routed to a topic and keeps it for replay.
+     * @returns {number} The event's sequence number.
+     */
+    record(topic, type, payload) {
+        const seq = ++this.lastSeq;
+        let buffered = this.topics.get(topic);
+        if (!buffered) {
+            // `droppedThrough` is the latest event pushed out of the full buffer.
+            buffered = { events: [], droppedThrough: 0 };
+            this.topics.set(topic, buffered);
+        }
+        buffered.events.push({ seq, type, payload, timestamp: Date.now() });
+        if (buffered.events.length > REPLAY_BUFFER_SIZE) buffered.droppedThrough = buffered.events.shift().seq;
+        return seq;
+    },
+
+    /**
+     * The position of a client that has seen every event so far, on any topic.
+     */
+    currentSeq() {
+        return this.lastSeq;
+    },
+
+    /**
+     * Returns the events of a topic after a sequence number, oldest first, or null if some of
+     * them may no longer be buffered (or the number was never given out) and cannot be replayed.
+     */
+    eventsSince(topic, seq) {
+        if (!Number.isInteger(seq) || seq < 0 || seq > this.lastSeq) return null;
+        const buffered = this.topics.get(topic);
+        if (seq < this.expiredThrough || (buffered && seq < buffered.droppedThrough)) return null;
+        return buffered ? buffered.events.filter(event => event.seq > seq) : [];
+    },
+
+    /**
+     * Drops events that are too old to replay, and the topics left without any.
+     */
+    prune() {
+        const cutoff = Date.now() - REPLAY_WINDOW_MS;
+        for (const [topic, buffered] of this.topics) {
+            const kept = buffered.events.filter(event => event.timestamp >= cutoff);
+            const expired = buffered.events.length - kept.length;
+            if (expired > 0) this.expiredThrough = Math.max(this.expiredThrough, buffered.events[expired - 1].seq);
+            if (kept.length > 0) buffered.events = kept;
+            else this.topics.delete(topic);
+        }
+    },
+};
+
+module.exports = { ReplayBuffer, REPLAY_WINDOW_MS };
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, openSocket } = require('../../../shared/testing');
+
+// Runs the WebSocket Service against a stub Database Service without any alerts or responders.
+let database;
+let service;
+before(async () => {
+    database = await startStub(req => (req.url.startsWith('/alerts?') ? { alerts: [], nextCursor: null } : []));
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+let nextAlertId = 1;
+function alertIn(location) {
+    return {
+        id: nextAlertId++,
+        citizenId: 'c1',
+        status: 'new',
+        location,
+        targetedOfficers: ['p1'],
+        escalationHistory: [{ level: 1 }],
+        units: [{ type: 'police', count: 1, targeted: ['p1'], acceptedBy: [] }],
+    };
+}
+
+async function watchArea(identity) {
+    const socket = await openSocket(service.url, identity);
+    await socket.next('auth_ok');
+    socket.send('subscribe_area', { center: { lat: 12.97, lng: 77.59 }, radiusKm: 2 });
+    await socket.next('initial_alerts');
+    return socket;
+}
+
+test('area deliveries carry no topic or sequence number', async () => {
+    const socket = await watchArea({ id: 'p2', role: 'police' });
+    try {
+        const alert = alertIn({ lat: 12.97, lng: 77.59 });
+        service.publish('alert.created.tdr1', alert);
+        const { topic, seq, payload } = await socket.next('alert_created');
+        assert.strictEqual(topic, undefined);
+        assert.strictEqual(seq, undefined);
+        assert.deepStrictEqual(payload, alert);
+    } finally {
+        socket.ws.close();
+    }
+});
+
+test('topic subscribers still get the topic and sequence number of alerts in their areas', async () => {
+    const socket = await watchArea({ id: 'p3', role: 'police' });
+    try {
+        socket.send('subscribe', { topics: ['geo:tdr1'] });
+        const { payload: { epoch } } = await socket.next('subscribed');
+        service.publish('alert.created.tdr1', alertIn({ lat: 12.97, lng: 77.59 }));
+        const message = await socket.next('alert_created');
+        assert.strictEqual(message.topic, 'geo:tdr1');
+        assert.strictEqual(typeof message.seq, 'number');
+        assert.strictEqual(socket.messages.filter(m => m.type === 'alert_created').length, 1);
+        assert.strictEqual(typeof epoch, 'string');
+    } finally {
+        socket.ws.close();
+    }
+});
+
+test('citizens watching an area do not see which responders were targeted', async () => {
+    const socket = await watchArea({ id: 'c2', role: 'citizen' });
+    try {
+        service.publish('alert.created.tdr1', alertIn({ lat: 12.97, lng: 77.59 }));
+        const { payload } = await socket.next('alert_created');
+        assert.strictEqual(payload.targetedOfficers, undefined);
+        assert.strictEqual(payload.escalationHistory, undefined);
+        assert.deepStrictEqual(payload.units, [{ type: 'police', count: 1, acceptedBy: [] }]);
+    } finally {
+        socket.ws.close();
+    }
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseArea, coveringCells, contains, cellsOf } = require('../areas');
+
+const center = { lat: 12.97, lng: 77.59 };
+
+test('bounding boxes are validated and kept as given', () => {
+    assert.deepStrictEqual(parseArea({ id: 'viewport', bbox: [12.9, 77.5, 13.1, 77.7] }), { area: { id: 'viewport', bbox: [12.9, 77.5, 13.1, 77.7] } });
+    for (const bbox of [[12.9, 77.5, 13.1], [13.1, 77.5, 12.9, 77.7], [12.9, 77.5, 91, 77.7], ['12.9', 77.5, 13.1, 77.7]]) {
+        assert.ok(parseArea({ bbox }).error, JSON.stringify(bbox));
+    }
+});
+
+test('radius areas get the bounding box of their circle', () => {
+    const { area } = parseArea({ center, radiusKm: 3 });
+    assert.strictEqual(area.id, undefined);
+    const [minLat, minLng, maxLat, maxLng] = area.bbox;
+    assert.ok(Math.abs(maxLat - center.lat - 3 / 111.32) < 1e-9);
+    assert.ok(Math.abs(center.lat - minLat - 3 / 111.32) < 1e-9);
+    // Degrees of longitude are shorter away from the equator, so the box is wider than it is tall.
+    assert.ok(maxLng - center.lng > maxLat - center.lat);
+    assert.ok(Math.abs(maxLng - center.lng - (center.lng - minLng)) < 1e-9);
+});
+
+test('invalid areas and ids are rejected', () => {
+    for (const payload of [undefined, {}, { center }, { center, radiusKm: 0 }, { center: { lat: 100, lng: 0 }, radiusKm: 1 }, { id: '', bbox: [0, 0, 1, 1] }, { id: 'x'.repeat(65), bbox: [0, 0, 1, 1] }]) {
+        assert.ok(parseArea(payload).error, JSON.stringify(payload));
+    }
+});
+
+test('areas are covered by at most 16 cells, as fine as that allows', () => {
+    const small = coveringCells(parseArea({ center, radiusKm: 0.5 }).area, 3);
+    const large = coveringCells(parseArea({ center, radiusKm: 30 }).area, 3);
+    assert.ok(small.precision > large.precision);
+    for (const cover of [small, large]) {
+        assert.ok(cover.cells.length <= 16);
+        assert.ok(cover.cells.every(cell => cell.length === cover.precision));
+    }
+    assert.ok(cellsOf(center).some(cell => small.cells.includes(cell)));
+});
+
+test('areas too large for the minimum precision cannot be covered', () => {
+    assert.strictEqual(coveringCells(parseArea({ center, radiusKm: 300 }).area, 4), null);
+});
+
+test('locations are matched against the area itself, not its cells', () => {
+    const circle = parseArea({ center, radiusKm: 1 }).area;
+    assert.strictEqual(contains(circle, { lat: 12.975, lng: 77.59 }), true);
+    // Inside the bounding box, but outside the circle.
+    assert.strictEqual(contains(circle, { lat: 12.977, lng: 77.597 }), false);
+    const box = parseArea({ bbox: [12.9, 77.5, 13.1, 77.7] }).area;
+    assert.strictEqual(contains(box, { lat: 13.1, lng: 77.5 }), true);
+    assert.strictEqual(contains(box, { lat: 13.2, lng: 77.6 }), false);
+    assert.strictEqual(contains(box, undefined), false);
+});
+
+test('locations lie in one cell of every precision areas are indexed at', () => {
+    const cells = cellsOf(center);
+    assert.deepStrictEqual(cells.map(cell => cell.length), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.ok(cells.every(cell => cells[8].startsWith(cell)));
+});
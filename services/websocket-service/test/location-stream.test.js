@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const ngeohash = require('ngeohash');
+const { startService, startStub, openSocket } = require('../../../shared/testing');
+
+// Runs the WebSocket Service against a stub Database Service where P1 is located in `tdr1`.
+let database;
+let service;
+before(async () => {
+    database = await startStub(req => {
+        if (req.url.startsWith('/alerts?')) return { alerts: [], nextCursor: null };
+        if (req.url === '/responders/by-geohashes') return [{ type: 'police', id: 'P1', locationLat: 12.97, locationLng: 77.59, lastSeen: 1 }];
+        return [];
+    });
+    service = await startService(path.join(__dirname, '..', 'index.js'), {
+        DATABASE_SERVICE_URL: database.url,
+        WS_LOCATION_FLUSH_INTERVAL_MS: '100',
+    });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+function move(type, id, location) {
+    const geohash = ngeohash.encode(location.lat, location.lng, 9);
+    service.publish(`location.updated.${geohash}`, { type, id, location, lastSeen: Date.now() });
+}
+
+async function connect(identity, subscription) {
+    const socket = await openSocket(service.url, identity);
+    await socket.next('auth_ok');
+    socket.send(...subscription);
+    return socket;
+}
+
+test('responders get the positions within their topics, coalesced to the latest of each responder', async () => {
+    const socket = await connect({ id: 'P9', role: 'police' }, ['subscribe', { topics: ['geo:tdr1'] }]);
+    try {
+        const { payload: initial } = await socket.next('initial_locations');
+        assert.deepStrictEqual(initial, [{ type: 'police', id: 'P1', location: { lat: 12.97, lng: 77.59 }, lastSeen: 1 }]);
+
+        move('police', 'P1', { lat: 12.971, lng: 77.59 });
+        move('police', 'P1', { lat: 12.972, lng: 77.59 });
+        move('paramedic', 'P1', { lat: 12.973, lng: 77.59 });
+        move('police', 'P2', { lat: 13.5, lng: 77.59 }); // In another cell.
+        const { payload } = await socket.next('locations_updated');
+        assert.deepStrictEqual(payload.map(update => [update.type, update.id, update.location.lat]), [['police', 'P1', 12.972], ['paramedic', 'P1', 12.973]]);
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.strictEqual(socket.messages.filter(message => message.type === 'locations_updated').length, 1);
+    } finally {
+        socket.ws.close();
+    }
+});
+
+test('responders watching an area only get the positions inside it', async () => {
+    const socket = await connect({ id: 'P9', role: 'police' }, ['subscribe_area', { center: { lat: 12.97, lng: 77.59 }, radiusKm: 1 }]);
+    try {
+        await socket.next('initial_locations');
+        move('police', 'P3', { lat: 12.985, lng: 77.59 }); // About 1.7km away.
+        move('police', 'P4', { lat: 12.975, lng: 77.59 });
+        const { payload } = await socket.next('locations_updated');
+        assert.deepStrictEqual(payload.map(update => update.id), ['P4']);
+    } finally {
+        socket.ws.close();
+    }
+});
+
+test('citizens do not get responder positions', async () => {
+    const socket = await connect({ id: 'c1', role: 'citizen' }, ['subscribe', { topics: ['geo:tdr1'] }]);
+    try {
+        await socket.next('initial_alerts');
+        move('police', 'P1', { lat: 12.971, lng: 77.59 });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.deepStrictEqual(socket.messages.filter(message => message.type.includes('locations')), []);
+    } finally {
+        socket.ws.close();
+    }
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startService, startStub, openSocket } = require('../../../shared/testing');
+
+const accepted = {
+    id: 1, citizenId: 'c1', status: 'accepted', geohash: 'tdr1', location: { lat: 12.97, lng: 77.59 },
+    targetedOfficers: ['P1', 'P2'], escalationHistory: [{ action: 'escalated' }],
+    units: [{ type: 'police', count: 1, maxTargeted: 5, targeted: [{ id: 'P1' }, { id: 'P2' }], acceptedBy: ['P1'] }],
+};
+
+// Runs the WebSocket Service against a stub Database Service where citizen c1 raised one
+// alert, which police officer P1 accepted.
+let database;
+let service;
+before(async () => {
+    database = await startStub(req => {
+        if (req.url.startsWith('/alerts?citizenId=c1&')) return { alerts: [accepted], nextCursor: null };
+        if (req.url.startsWith('/alerts?')) return { alerts: [], nextCursor: null };
+        if (req.url === '/responders/lookup') {
+            return [{ type: 'police', id: 'P1', name: 'Asha', designation: 'SI', department: 'Law & Order', phoneNumber: '100', pushToken: 'token' }];
+        }
+        return [];
+    });
+    service = await startService(path.join(__dirname, '..', 'index.js'), { DATABASE_SERVICE_URL: database.url });
+});
+after(async () => {
+    await service.stop();
+    await database.close();
+});
+
+const ownerView = {
+    alert: {
+        id: 1, citizenId: 'c1', status: 'accepted', geohash: 'tdr1', location: { lat: 12.97, lng: 77.59 },
+        units: [{ type: 'police', count: 1, acceptedBy: ['P1'] }],
+    },
+    responders: [{ type: 'police', id: 'P1', name: 'Asha', designation: 'SI', department: 'Law & Order' }],
+};
+
+test('citizens are sent their open alerts when they connect, without the targeted responders', async () => {
+    const socket = await openSocket(service.url, { id: 'c1', role: 'citizen' });
+    try {
+        const { payload } = await socket.next('my_alerts');
+        assert.deepStrictEqual(payload, [ownerView]);
+        const lookup = database.requests.find(request => request.url === '/responders/lookup');
+        assert.deepStrictEqual(lookup.body, { responders: [{ type: 'police', id: 'P1' }] });
+    } finally {
+        socket.ws.close();
+    }
+});
+
+test('citizens follow changes to their alerts whatever they watch', async () => {
+    const owner = await openSocket(service.url, { id: 'c1', role: 'citizen' });
+    const other = await openSocket(service.url, { id: 'c2', role: 'citizen' });
+    try {
+        await owner.next('my_alerts');
+        await other.next('my_alerts');
+        service.publish('alert.updated.tdr1', accepted);
+        service.publish('alert.deleted.tdr1', { id: 1, citizenId: 'c1', location: accepted.location });
+        assert.deepStrictEqual((await owner.next('my_alert_updated')).payload, { event: 'alert_updated', ...ownerView });
+        assert.deepStrictEqual((await owner.next('my_alert_updated')).payload, { event: 'alert_deleted', alert: { id: 1 }, responders: [] });
+        assert.deepStrictEqual(other.messages.filter(message => message.type === 'my_alert_updated'), []);
+    } finally {
+        owner.ws.close();
+        other.ws.close();
+    }
+});
+
+test('the position of the responders handling an alert only goes to the citizen who raised it', async () => {
+    const owner = await openSocket(service.url, { id: 'c1', role: 'citizen' });
+    const other = await openSocket(service.url, { id: 'c2', role: 'citizen' });
+    try {
+        await owner.next('auth_ok');
+        await other.next('auth_ok');
+        const tracking = { alertId: 1, responder: { type: 'police', id: 'P1' }, location: { lat: 12.96, lng: 77.59 }, lastSeen: 5, availability: 'en_route', etaSeconds: 120 };
+        service.publish('alert.tracking.1', { citizenId: 'c1', ...tracking });
+        assert.deepStrictEqual((await owner.next('alert_tracking')).payload, tracking);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(other.messages.filter(message => message.type === 'alert_tracking'), []);
+    } finally {
+        owner.ws.close();
+        other.ws.close();
+    }
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.WS_REPLAY_BUFFER_SIZE = '2';
+process.env.WS_REPLAY_WINDOW_MS = '20';
+const { ReplayBuffer } = require('../replay-buffer');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('replays the events of a topic after a position', () => {
+    const start = ReplayBuffer.currentSeq();
+    const first = ReplayBuffer.record('geo:a', 'alert_created', { id: 1 });
+    ReplayBuffer.record('geo:b', 'alert_created', { id: 2 });
+    const third = ReplayBuffer.record('geo:a', 'alert_updated', { id: 1 });
+
+    assert.deepStrictEqual(ReplayBuffer.eventsSince('geo:a', start).map(event => event.seq), [first, third]);
+    assert.deepStrictEqual(ReplayBuffer.eventsSince('geo:a', first).map(event => event.seq), [third]);
+    assert.deepStrictEqual(ReplayBuffer.eventsSince('geo:quiet', start), []);
+    assert.strictEqual(ReplayBuffer.eventsSince('geo:a', ReplayBuffer.currentSeq() + 1), null);
+});
+
+test('cannot replay a topic whose full buffer dropped missed events', () => {
+    const start = ReplayBuffer.currentSeq();
+    for (let i = 0; i < 3; i++) ReplayBuffer.record('geo:busy', 'alert_updated', { id: i });
+    assert.strictEqual(ReplayBuffer.eventsSince('geo:busy', start), null);
+});
+
+test('forgets topics once their events expire, without reusing sequence numbers', async () => {
+    const beforeExpiry = ReplayBuffer.currentSeq();
+    ReplayBuffer.record('geo:a', 'alert_updated', { id: 1 });
+    await sleep(30);
+    ReplayBuffer.prune();
+    assert.strictEqual(ReplayBuffer.topics.size, 0);
+
+    // The expired event may have been on any topic, so older positions cannot be trusted.
+    assert.strictEqual(ReplayBuffer.eventsSince('geo:a', beforeExpiry), null);
+    assert.strictEqual(ReplayBuffer.eventsSince('geo:quiet', beforeExpiry), null);
+
+    const afterExpiry = ReplayBuffer.currentSeq();
+    const next = ReplayBuffer.record('geo:a', 'alert_created', { id: 2 });
+    assert.ok(next > afterExpiry);
+    assert.deepStrictEqual(ReplayBuffer.eventsSince('geo:a', afterExpiry).map(event => event.seq), [next]);
+});
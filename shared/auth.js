@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Secret used to sign and verify access tokens. Every service that issues or verifies
+// tokens (Auth Service, API Gateway) must be configured with the same value.
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = 'citizen-safety-auth';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10); // 30 days
+
+// Header used by the API Gateway to forward the verified caller identity to downstream services.
+// Downstream services must only trust this header on requests that came through the gateway.
+const IDENTITY_HEADER = 'x-user-identity';
+
+if (!JWT_SECRET) {
+    console.warn("WARNING: JWT_SECRET environment variable is not set. Access tokens cannot be issued or verified.");
+}
+
+/**
+ * Signs a short-lived access token for an authenticated user.
+ * @param {{ id: string, role: string, department?: string, accessLevel?: string }} identity - The user the token is issued to.
+ * @returns {string} The signed JWT.
+ */
+function signAccessToken(identity) {
+    if (!JWT_SECRET) throw new Error('JWT_SECRET is not configured.');
+    return jwt.sign(
+        { role: identity.role, department: identity.department || null, accessLevel: identity.accessLevel || 'standard' },
+        JWT_SECRET,
+        { subject: String(identity.id), issuer: JWT_ISSUER, expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+}
+
+/**
+ * Verifies an access token and returns the identity it was issued to.
+ * Throws if the token is malformed, has an invalid signature or has expired.
+ * @param {string} token - The JWT presented by the client.
+ * @returns {{ id: string, role: string, department: string|null, accessLevel: string }}
+ */
+function verifyAccessToken(token) {
+    if (!JWT_SECRET) throw new Error('JWT_SECRET is not configured.');
+    const claims = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER, algorithms: ['HS256'] });
+    return { id: claims.sub, role: claims.role, department: claims.department, accessLevel: claims.accessLevel || 'standard' };
+}
+
+/**
+ * Generates an opaque random token (refresh or password reset). Only its hash is ever persisted.
+ */
+function generateOpaqueToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hashes an opaque token (refresh or reset token) for storage and lookup.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Serializes an identity into the value of the trusted identity header.
+ */
+function encodeIdentity(identity) {
+    return Buffer.from(JSON.stringify(identity)).toString('base64url');
+}
+
+/**
+ * Reads the identity forwarded by the API Gateway from an incoming request.
+ * @returns {{ id: string, role: string, department: string|null, accessLevel: string }|null} The identity, or null if absent or malformed.
+ */
+function getIdentity(req) {
+    const header = req.headers[IDENTITY_HEADER];
+    if (!header) return null;
+    try {
+        return JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Express middleware that requires a gateway-verified identity, optionally restricted to a set of roles.
+ * The identity is attached to `req.identity` for the route handler.
+ * @param {...string} roles - The roles allowed to call the route. Any role is allowed if none are given.
+ */
+function requireIdentity(...roles) {
+    return (req, res, next) => {
+        const identity = getIdentity(req);
+        if (!identity) {
+            return res.status(401).json({ message: 'Authentication required.' });
+        }
+        if (roles.length > 0 && !roles.includes(identity.role)) {
+            return res.status(403).json({ message: `This action requires one of the following roles: ${roles.join(', ')}.` });
+        }
+        req.identity = identity;
+        next();
+    };
+}
+
+/**
+ * Whether the caller supervises responders of a type: admins supervise every type, supervisors
+ * only their own.
+ */
+function isSupervisorOf(identity, role) {
+    return identity.accessLevel === 'admin' || (identity.accessLevel === 'supervisor' && identity.role === role);
+}
+
+module.exports = {
+    IDENTITY_HEADER,
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    signAccessToken,
+    verifyAccessToken,
+    generateOpaqueToken,
+    hashToken,
+    encodeIdentity,
+    getIdentity,
+    requireIdentity,
+    isSupervisorOf,
+};
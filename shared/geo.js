@@ -0,0 +1,46 @@
+/**
+ * Distances and geohash cell sizes, shared by the services that search by location.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_OF_LATITUDE = 111.32;
+
+/**
+ * Calculates the great-circle distance between two lat/lng points in kilometers.
+ */
+function haversineKm(from, to) {
+    const dLat = (to.lat - from.lat) * Math.PI / 180;
+    const dLng = (to.lng - from.lng) * Math.PI / 180;
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Converts a radius around a location into degrees of latitude and longitude, i.e. the half
+ * height and half width of the box around the circle.
+ * @returns {{ latDeg: number, lngDeg: number }}
+ */
+function radiusInDegrees(location, radiusKm) {
+    const latDeg = radiusKm / KM_PER_DEGREE_OF_LATITUDE;
+    // Degrees of longitude shrink towards the poles, so measure them at the circle's edge closest to one.
+    const furthestLat = Math.min(Math.abs(location.lat) + latDeg, 89.9);
+    const lngDeg = radiusKm / (KM_PER_DEGREE_OF_LATITUDE * Math.cos(furthestLat * Math.PI / 180));
+    return { latDeg, lngDeg };
+}
+
+/**
+ * The height and width in degrees of the geohash cells of a precision.
+ * @returns {{ heightDeg: number, widthDeg: number }}
+ */
+function cellSize(precision) {
+    // Each geohash character adds five bits, alternating between longitude and latitude.
+    return {
+        heightDeg: 180 / 2 ** Math.floor(precision * 5 / 2),
+        widthDeg: 360 / 2 ** Math.ceil(precision * 5 / 2),
+    };
+}
+
+module.exports = { haversineKm, radiusInDegrees, cellSize };
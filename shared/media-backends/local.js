@@ -0,0 +1,63 @@
+/**
+ * Local disk backend for `shared/media-store.js`, selected with MEDIA_STORE_BACKEND=local (the default).
+ *
+ * Files are kept under MEDIA_STORE_DIR, sharded by the first characters of their reference so
+ * that no directory grows too large. Uploads are written to a temporary file first and renamed
+ * into place, which is atomic, so readers never see a partially written file.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Every service instance that reads or writes media must see the same directory (e.g. a shared volume).
+const MEDIA_STORE_DIR = process.env.MEDIA_STORE_DIR || path.join(__dirname, '..', '..', 'media');
+
+function filePath(ref) {
+    return path.join(MEDIA_STORE_DIR, ref.slice(0, 2), ref.slice(2, 4), ref);
+}
+
+/**
+ * Starts an upload whose reference is only known once all of it has been written.
+ * @returns {Promise<{ stream: import('stream').Writable, commit: (ref: string) => Promise<void>, abort: () => Promise<void> }>}
+ */
+async function createUpload() {
+    const tmpDir = path.join(MEDIA_STORE_DIR, 'tmp');
+    await fs.promises.mkdir(tmpDir, { recursive: true });
+    const tmpPath = path.join(tmpDir, crypto.randomUUID());
+    return {
+        stream: fs.createWriteStream(tmpPath),
+        async commit(ref) {
+            const finalPath = filePath(ref);
+            await fs.promises.mkdir(path.dirname(finalPath), { recursive: true });
+            await fs.promises.rename(tmpPath, finalPath);
+        },
+        async abort() {
+            await fs.promises.rm(tmpPath, { force: true });
+        },
+    };
+}
+
+async function stat(ref) {
+    try {
+        const stats = await fs.promises.stat(filePath(ref));
+        return { size: stats.size };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function createReadStream(ref, range = {}) {
+    return fs.createReadStream(filePath(ref), range);
+}
+
+async function remove(ref) {
+    await fs.promises.rm(filePath(ref), { force: true });
+}
+
+module.exports = {
+    createUpload,
+    stat,
+    createReadStream,
+    remove,
+};
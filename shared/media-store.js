@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * The backend that holds the files is selected with the MEDIA_STORE_BACKEND environment variable:
+ *   - 'local' (default): a directory on local disk, see `media-backends/local.js`.
+ *
+ * Every backend exposes the same API, and only ever sees validated references:
+ *   - `createUpload()`: resolves to `{ stream, commit(ref), abort() }`. Content is written to `stream`;
+ *     `commit` makes it readable under `ref`, `abort` discards it.
+ *   - `stat(ref)`: resolves to `{ size }`, or null if there is no such file.
+ *   - `createReadStream(ref, { start?, end? })`: reads a file, optionally only an inclusive byte range.
+ *   - `remove(ref)`: deletes a file, if there is one.
+ */
+const MEDIA_STORE_BACKEND = process.env.MEDIA_STORE_BACKEND || 'local';
+
+// Backends are loaded lazily so that one backend's dependencies are not needed by the others.
+const backends = {
+    local: () => require('./media-backends/local'),
+};
+
+if (!backends[MEDIA_STORE_BACKEND]) {
+    throw new Error(`Unknown MEDIA_STORE_BACKEND '${MEDIA_STORE_BACKEND}'. Expected one of: ${Object.keys(backends).join(', ')}.`);
+}
+
+const backend = backends[MEDIA_STORE_BACKEND]();
+
+const REF_PATTERN = /^[a-f0-9]{64}$/;
+
+function checkRef(ref) {
+    if (!REF_PATTERN.test(ref)) throw new Error(`Invalid media reference '${ref}'.`);
+}
+
+/**
+ * Content-addressed file store for alert media.
+ *
+ * Each file is named after the SHA-256 hash of its content, which is also its reference. Storing
+ * the same content twice keeps a single copy, and a reference always points to the same bytes,
+ * so stored files never change and can be cached indefinitely.
+ */
+const MediaStore = {
+    /**
+     * Streams content into the store.
+     * @param {Readable|Buffer} source - The content to store.
+     * @param {{ maxBytes?: number }} [options] - Rejects with `status` 413 if the content is larger.
+     * @returns {Promise<{ ref: string, size: number, created: boolean }>} `created` is false when the
+     *   same content was already stored.
+     */
+    async put(source, { maxBytes = Infinity } = {}) {
+        const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+        const upload = await backend.createUpload();
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        // Oversized content is still read to the end, but no longer written, so that a producer such
+        // as a multipart parser is never left waiting on a stream that stopped reading.
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size > maxBytes) return callback();
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+
+        try {
+            await pipeline(input, meter, upload.stream);
+        } catch (error) {
+            await upload.abort();
+            throw error;
+        }
+        if (size > maxBytes) {
+            await upload.abort();
+            const error = new Error(`Media exceeds the maximum size of ${maxBytes} bytes.`);
+            error.status = 413;
+            throw error;
+        }
+
+        const ref = hash.digest('hex');
+        const created = (await backend.stat(ref)) === null;
+        await upload.commit(ref);
+        return { ref, size, created };
+    },
+
+    /**
+     * Returns the size of a stored file, or null if there is no file with that reference.
+     */
+    async stat(ref) {
+        checkRef(ref);
+        return backend.stat(ref);
+    },
+
+    /**
+     * Opens a stored file for reading, optionally only the inclusive byte range `start`-`end`.
+     */
+    createReadStream(ref, range = {}) {
+        checkRef(ref);
+        return backend.createReadStream(ref, range);
+    },
+
+    /**
+     * Deletes a stored file. Every alert that stored the same content shares the file, so only
+     * remove files that no alert refers to.
+     */
+    async remove(ref) {
+        checkRef(ref);
+        await backend.remove(ref);
+    },
+
+    /**
+     * Reads a whole stored file into memory.
+     */
+    async read(ref) {
+        const chunks = [];
+        for await (const chunk of this.createReadStream(ref)) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    },
+
+    /**
+     * Checks whether a string is a well-formed media reference.
+     */
+    isRef(ref) {
+        return typeof ref === 'string' && REF_PATTERN.test(ref);
+    },
+};
+
+module.exports = MediaStore;
@@ -0,0 +1,51 @@
+/**
+ * The types of responders the system knows about.
+ *
+ * Every responder account has a type, which is also its role in access tokens and the prefix of
+ * its routes (e.g. `/api/paramedic/login`). Within a type, a responder is identified by its badge
+ * or unit number, which clients send as `idField`. `department` is what new accounts of the type
+ * belong to unless they register with another one.
+ */
+const RESPONDER_TYPES = {
+    police: { idField: 'badgeNumber', department: 'Law & Order' },
+    firefighter: { idField: 'unitNumber', department: 'Fire & Rescue' },
+    paramedic: { idField: 'unitNumber', department: 'Medical Services' },
+    traffic: { idField: 'badgeNumber', department: 'Traffic' },
+};
+
+const RESPONDER_ROLES = Object.keys(RESPONDER_TYPES);
+
+const isResponderRole = (role) => Object.prototype.hasOwnProperty.call(RESPONDER_TYPES, role);
+
+// The department expected to respond to each alert category, for alerts raised before they
+// requested units. Back then, categories without a dedicated responder type were handled by police.
+const LEGACY_CATEGORY_DEPARTMENTS = {
+    'Law & Order': 'Law & Order',
+    'Fire & Rescue': 'Fire & Rescue',
+    'Medical Emergency': 'Law & Order',
+    'Traffic Incident': 'Law & Order',
+};
+
+const legacyDepartmentOf = (category) => LEGACY_CATEGORY_DEPARTMENTS[category] || 'Law & Order';
+
+/**
+ * Returns the responders who accepted an alert, as `{ type, id }`.
+ * Alerts raised before they requested units only record the id of the responder who accepted
+ * them, in `acceptedBy`. That responder's type is read from the stored accounts with that id,
+ * which `findAccounts(id)` resolves to. Ids are only unique within a type, so the account of
+ * the department the alert's category called for is preferred.
+ * @param {object} alert
+ * @param {(id: string) => Promise<Array<{ type: string, id: string, department: string }>>} findAccounts
+ * @returns {Promise<Array<{ type: string, id: string }>>}
+ */
+async function acceptedResponders(alert, findAccounts) {
+    if (Array.isArray(alert.units) && alert.units.length > 0) {
+        return alert.units.flatMap(unit => unit.acceptedBy.map(id => ({ type: unit.type, id })));
+    }
+    if (!alert.acceptedBy) return [];
+    const accounts = await findAccounts(alert.acceptedBy);
+    const account = accounts.find(a => a.department === legacyDepartmentOf(alert.category)) || accounts[0];
+    return account ? [{ type: account.type, id: account.id }] : [];
+}
+
+module.exports = { RESPONDER_TYPES, RESPONDER_ROLES, isResponderRole, legacyDepartmentOf, acceptedResponders };
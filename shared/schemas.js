@@ -0,0 +1,311 @@
+/**
+ * Declarative schemas for the entities stored by the Database Service: alerts, citizens and
+ * responders (see `responders.js`).
+ *
+ * The Database Service validates every write against these schemas, and only the fields a
+ * schema declares ever reach a SQL statement. The services that build those payloads use the
+ * same schemas to reject bad client input early, with the same error format.
+ *
+ * A field spec is `{ type, required?, nullable?, enum?, min?, max?, minLength?, maxLength?, items?, fields? }`
+ * where `type` is one of 'string', 'integer', 'number', 'boolean', 'array' (each element
+ * validated against `items`) or 'object' (validated against the nested `fields`).
+ */
+
+const { RESPONDER_ROLES } = require('./responders');
+
+const ALERT_STATUSES = ['new', 'accepted', 'resolved', 'canceled', 'timed_out'];
+const ACCOUNT_STATUSES = ['pending', 'active', 'suspended', 'deactivated'];
+const ACCESS_LEVELS = ['standard', 'supervisor', 'admin'];
+// Whether a responder can be dispatched: only `available` responders are. `en_route` and
+// `on_scene` responders are handling an alert.
+const AVAILABILITIES = ['off_duty', 'available', 'en_route', 'on_scene'];
+const RESPONDER_TYPES = RESPONDER_ROLES;
+
+const latitude = { type: 'number', required: true, min: -90, max: 90 };
+const longitude = { type: 'number', required: true, min: -180, max: 180 };
+const location = { type: 'object', required: true, fields: { lat: latitude, lng: longitude } };
+// Bounded so that hashing a password cannot be used to tie up the Database Service.
+const password = { type: 'string', required: true, minLength: 1, maxLength: 256 };
+const accountId = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const pushToken = { type: 'string', required: true, nullable: true, maxLength: 512 };
+const mediaRef = { type: 'string', required: true, minLength: 64, maxLength: 64 };
+const responderType = { type: 'string', required: true, enum: RESPONDER_TYPES };
+const personName = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+const designation = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const phoneNumber = { type: 'string', required: true, minLength: 1, maxLength: 32 };
+const department = { type: 'string', maxLength: 64 };
+// What a responder is equipped or trained for, e.g. 'advanced_life_support' or 'hazmat'.
+const capabilities = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 64 } };
+
+// A photo or video attached to an alert, held in the media store.
+const attachment = {
+    type: 'object',
+    fields: {
+        ref: mediaRef,
+        kind: { type: 'string', required: true, enum: ['image', 'video'] },
+        contentType: { type: 'string', required: true, maxLength: 100 },
+        size: { type: 'integer', required: true, min: 0 },
+        width: { type: 'integer', min: 1 },
+        height: { type: 'integer', min: 1 },
+        // Only images have a thumbnail.
+        thumbnailRef: { ...mediaRef, required: false },
+        uploadedBy: { type: 'string', required: true, maxLength: 128 },
+        uploadedAt: { type: 'integer', required: true, min: 0 },
+    },
+};
+
+// A unit an alert needs: the responders of one type it targeted and those who accepted it.
+const unit = {
+    type: 'object',
+    fields: {
+        type: responderType,
+        count: { type: 'integer', required: true, min: 1 },
+        maxTargeted: { type: 'integer', required: true, min: 1 },
+        targeted: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    id: { type: 'string', required: true, maxLength: 64 },
+                    distanceKm: { type: 'number', required: true, min: 0 },
+                    etaSeconds: { type: 'number', nullable: true, min: 0 },
+                    stage: { type: 'integer', required: true, min: 0 },
+                },
+            },
+        },
+        acceptedBy: { type: 'array', required: true, items: { type: 'string', maxLength: 64 } },
+    },
+};
+
+const chatMessageBody = { type: 'string', required: true, minLength: 1, maxLength: 2000 };
+const participantRole = { type: 'string', required: true, enum: ['citizen', ...RESPONDER_TYPES] };
+
+const alertFields = {
+    citizenId: { type: 'string', required: true, maxLength: 128 },
+    message: { type: 'string', nullable: true, maxLength: 5000 },
+    audioRef: mediaRef,
+    audioContentType: { type: 'string', required: true, maxLength: 100 },
+    audioSize: { type: 'integer', required: true, min: 0 },
+    locationLat: latitude,
+    locationLng: longitude,
+    timestamp: { type: 'integer', required: true, min: 0 },
+    status: { type: 'string', required: true, enum: ALERT_STATUSES },
+    category: { type: 'string', nullable: true, maxLength: 64 },
+    acceptedBy: { type: 'string', nullable: true, maxLength: 64 },
+    searchRadius: { type: 'number', min: 0 },
+    timeoutTimestamp: { type: 'integer', min: 0 },
+    targetedOfficers: { type: 'array', items: { type: 'string' } },
+    geohash: { type: 'string', maxLength: 12 },
+    escalationStage: { type: 'integer', min: 0 },
+    escalationHistory: { type: 'array', items: { type: 'object' } },
+    attachments: { type: 'array', items: attachment },
+    units: { type: 'array', items: unit },
+};
+
+// How many responders of a type an alert category needs, see `unit`.
+const plannedUnit = {
+    type: 'object',
+    fields: {
+        type: responderType,
+        count: { type: 'integer', required: true, min: 1, max: 20 },
+        maxTargeted: { type: 'integer', required: true, min: 1, max: 50 },
+    },
+};
+
+const pick = (fields, names) => Object.fromEntries(names.map(name => [name, fields[name]]));
+const optional = (fields) => Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, { ...spec, required: false }]));
+
+const schemas = {
+    alert: {
+        // The body of a citizen's `POST /alerts` request. Audio is normally uploaded as a multipart
+        // file; inline base64 audio is still accepted from older clients.
+        report: {
+            message: alertFields.message,
+            audioBase64: { type: 'string', nullable: true },
+            location,
+        },
+        create: {
+            ...pick(alertFields, ['citizenId', 'message', 'locationLat', 'locationLng', 'timestamp', 'status', 'timeoutTimestamp', 'geohash', 'searchRadius', 'escalationStage', 'attachments']),
+            // Only alerts with a recording have audio fields.
+            ...optional(pick(alertFields, ['audioRef', 'audioContentType', 'audioSize'])),
+        },
+        // Points an alert at audio in the media store.
+        audio: pick(alertFields, ['audioRef', 'audioContentType', 'audioSize']),
+        // Who raised an alert, where and when can never change.
+        update: pick(alertFields, ['status', 'category', 'acceptedBy', 'searchRadius', 'timeoutTimestamp', 'targetedOfficers', 'escalationStage', 'escalationHistory', 'attachments', 'units']),
+        // A chat message about an alert, as sent by a client and as stored with its sender.
+        message: { body: chatMessageBody },
+        storedMessage: { senderId: { ...accountId, maxLength: 128 }, senderRole: participantRole, body: chatMessageBody },
+        // Marks every message of an alert up to `messageId` as read.
+        messageRead: { messageId: { type: 'integer', required: true, min: 1 } },
+        storedMessageRead: { readerId: { ...accountId, maxLength: 128 }, readerRole: participantRole, messageId: { type: 'integer', required: true, min: 1 } },
+    },
+    citizen: {
+        register: { username: { type: 'string', required: true, minLength: 1, maxLength: 64 }, password },
+        changePassword: { currentPassword: password, newPassword: password },
+        resetPassword: { tokenHash: { type: 'string', required: true, maxLength: 128 }, newPassword: password },
+    },
+    // Every responder type is stored the same way; `id` is its badge or unit number.
+    responder: {
+        register: {
+            id: accountId,
+            name: { ...personName, required: false },
+            designation: { ...designation, required: false },
+            phoneNumber: { ...phoneNumber, required: false },
+            department,
+            capabilities,
+            password,
+        },
+        account: { status: { type: 'string', enum: ACCOUNT_STATUSES }, accessLevel: { type: 'string', enum: ACCESS_LEVELS } },
+        credentials: { password },
+        pushToken: { token: pushToken },
+        location: { location },
+        availability: { availability: { type: 'string', required: true, enum: AVAILABILITIES } },
+        // Also records the alert a responder is handling; leaving `en_route` and `on_scene` forgets it.
+        assignment: {
+            availability: { type: 'string', required: true, enum: AVAILABILITIES },
+            alertId: { type: 'integer', min: 1 },
+        },
+        // A radius search, closest first. `excludeIds` leaves out responders of any of the `types`.
+        nearby: {
+            location,
+            radiusKm: { type: 'number', required: true, min: 0 },
+            types: { type: 'array', required: true, items: responderType },
+            capabilities,
+            excludeIds: { type: 'array', items: { type: 'string' } },
+            // Only responders in one of these states. By default, any.
+            availability: { type: 'array', items: { type: 'string', enum: AVAILABILITIES } },
+            // Only responders whose position was reported at or after this time. By default, any.
+            seenSince: { type: 'integer', min: 0 },
+            limit: { type: 'integer', min: 1 },
+        },
+        lookup: {
+            responders: {
+                type: 'array',
+                required: true,
+                items: { type: 'object', fields: { type: responderType, id: accountId } },
+            },
+        },
+    },
+    // The units dispatched to alerts of a category. An empty list restores the default.
+    dispatchPlan: {
+        units: { type: 'array', required: true, items: plannedUnit },
+    },
+    // What responders send to `/<type>/register`, with their badge or unit number under its usual name.
+    // Officers are individuals and identify themselves; units may register with just a number.
+    police: {
+        register: { badgeNumber: accountId, name: personName, designation, phoneNumber, department, capabilities, password },
+    },
+    traffic: {
+        register: { badgeNumber: accountId, name: personName, designation, phoneNumber, department, capabilities, password },
+    },
+    firefighter: {
+        register: { unitNumber: accountId, name: { ...personName, required: false }, phoneNumber: { ...phoneNumber, required: false }, department, capabilities, password },
+    },
+    paramedic: {
+        register: { unitNumber: accountId, name: { ...personName, required: false }, phoneNumber: { ...phoneNumber, required: false }, department, capabilities, password },
+    },
+};
+
+function checkValue(spec, value, path, errors) {
+    if (value === null) {
+        if (!spec.nullable) errors.push({ field: path, message: 'Must not be null.' });
+        return;
+    }
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return errors.push({ field: path, message: 'Must be a string.' });
+            if (spec.minLength !== undefined && value.length < spec.minLength) errors.push({ field: path, message: `Must be at least ${spec.minLength} characters long.` });
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) errors.push({ field: path, message: `Must be at most ${spec.maxLength} characters long.` });
+            if (spec.enum && !spec.enum.includes(value)) errors.push({ field: path, message: `Must be one of: ${spec.enum.join(', ')}.` });
+            return;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return errors.push({ field: path, message: 'Must be a number.' });
+            if (spec.type === 'integer' && !Number.isInteger(value)) return errors.push({ field: path, message: 'Must be an integer.' });
+            if (spec.min !== undefined && value < spec.min) errors.push({ field: path, message: `Must be at least ${spec.min}.` });
+            if (spec.max !== undefined && value > spec.max) errors.push({ field: path, message: `Must be at most ${spec.max}.` });
+            return;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push({ field: path, message: 'Must be true or false.' });
+            return;
+        case 'array':
+            if (!Array.isArray(value)) return errors.push({ field: path, message: 'Must be an array.' });
+            if (spec.items) value.forEach((item, i) => checkValue(spec.items, item, `${path}[${i}]`, errors));
+            return;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return errors.push({ field: path, message: 'Must be an object.' });
+            if (spec.fields) checkFields(spec.fields, value, `${path}.`, false, errors);
+            return;
+        default:
+            throw new Error(`Unknown schema type '${spec.type}' for ${path}.`);
+    }
+}
+
+function checkFields(fields, payload, prefix, partial, errors) {
+    for (const key of Object.keys(payload)) {
+        if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+            errors.push({ field: `${prefix}${key}`, message: 'Unknown field.' });
+        }
+    }
+    for (const [key, spec] of Object.entries(fields)) {
+        const value = payload[key];
+        if (value === undefined) {
+            if (spec.required && !partial) errors.push({ field: `${prefix}${key}`, message: 'Is required.' });
+            continue;
+        }
+        checkValue(spec, value, `${prefix}${key}`, errors);
+    }
+}
+
+/**
+ * Validates a payload against a schema.
+ * @param {object} schema - A schema from `schemas`, e.g. `schemas.alert.create`.
+ * @param {object} payload - The payload to validate.
+ * @param {{ partial?: boolean }} [options] - With `partial`, required fields may be omitted (for updates).
+ * @returns {{ value: object, errors: Array<{ field: string, message: string }> }} `value` holds only
+ *          the fields declared by the schema, and is only meaningful when `errors` is empty.
+ */
+function validate(schema, payload, { partial = false } = {}) {
+    const errors = [];
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        return { value: {}, errors: [{ field: '', message: 'Must be an object.' }] };
+    }
+    checkFields(schema, payload, '', partial, errors);
+    const value = {};
+    for (const key of Object.keys(schema)) {
+        if (payload[key] !== undefined) value[key] = payload[key];
+    }
+    return { value, errors };
+}
+
+/**
+ * Express middleware that validates `req.body` against a schema and responds with 400 and the
+ * list of errors if it does not conform. Fields named in `options.passthrough` are not part of
+ * the schema and are left for the route handler; every other field must be declared.
+ * @param {object} schema - A schema from `schemas`.
+ * @param {{ partial?: boolean, passthrough?: string[] }} [options]
+ */
+function validateBody(schema, { partial = false, passthrough = [] } = {}) {
+    return (req, res, next) => {
+        const body = { ...(req.body || {}) };
+        for (const key of passthrough) delete body[key];
+        const { errors } = validate(schema, body, { partial });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid request.', errors });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ALERT_STATUSES,
+    ACCOUNT_STATUSES,
+    ACCESS_LEVELS,
+    AVAILABILITIES,
+    RESPONDER_TYPES,
+    schemas,
+    validate,
+    validateBody,
+};
@@ -0,0 +1,10 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isSupervisorOf } = require('../auth');
+
+test('admins supervise every responder type, supervisors only their own', () => {
+    assert.strictEqual(isSupervisorOf({ role: 'police', accessLevel: 'admin' }, 'paramedic'), true);
+    assert.strictEqual(isSupervisorOf({ role: 'paramedic', accessLevel: 'supervisor' }, 'paramedic'), true);
+    assert.strictEqual(isSupervisorOf({ role: 'police', accessLevel: 'supervisor' }, 'paramedic'), false);
+    assert.strictEqual(isSupervisorOf({ role: 'paramedic', accessLevel: 'standard' }, 'paramedic'), false);
+});
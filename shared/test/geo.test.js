@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { haversineKm, radiusInDegrees, cellSize } = require('../geo');
+
+test('haversineKm measures great-circle distances', () => {
+    assert.strictEqual(haversineKm({ lat: 12.97, lng: 77.59 }, { lat: 12.97, lng: 77.59 }), 0);
+    // One degree of latitude is about 111km anywhere.
+    assert.ok(Math.abs(haversineKm({ lat: 0, lng: 0 }, { lat: 1, lng: 0 }) - 111.19) < 0.01);
+    assert.ok(Math.abs(haversineKm({ lat: 60, lng: 0 }, { lat: 60, lng: 1 }) - 55.6) < 0.1);
+});
+
+test('radiusInDegrees widens longitudes towards the poles', () => {
+    const atEquator = radiusInDegrees({ lat: 0, lng: 0 }, 11.132);
+    assert.ok(Math.abs(atEquator.latDeg - 0.1) < 1e-9);
+    assert.ok(atEquator.lngDeg > 0.1 && atEquator.lngDeg < 0.1001);
+    assert.ok(radiusInDegrees({ lat: 60, lng: 0 }, 11.132).lngDeg > 0.2);
+    assert.ok(Number.isFinite(radiusInDegrees({ lat: 89.99, lng: 0 }, 10).lngDeg));
+});
+
+test('cellSize gives the size of the cells of each precision', () => {
+    assert.deepStrictEqual(cellSize(1), { heightDeg: 45, widthDeg: 45 });
+    assert.deepStrictEqual(cellSize(2), { heightDeg: 5.625, widthDeg: 11.25 });
+    assert.deepStrictEqual(cellSize(4), { heightDeg: 180 / 2 ** 10, widthDeg: 360 / 2 ** 10 });
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.MQ_MAX_RETRIES = '0';
+const { connect, publish, deadLetters } = require('../transports/memory');
+
+test('each connection names its queues after its own service', async () => {
+    const alerts = await connect('alerts-service');
+    const notifications = await connect('notifications-service');
+    const failing = () => { throw new Error('Not handled.'); };
+    await alerts.subscribe('test.alerts', failing);
+    await notifications.subscribe('test.notifications', failing);
+
+    await publish('test.alerts', '{}');
+    await publish('test.notifications', '{}');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepStrictEqual(deadLetters.map(letter => letter.queue).sort(), [
+        'alerts-service.test.alerts',
+        'notifications-service.test.notifications',
+    ]);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { acceptedResponders } = require('../responders');
+
+const noAccounts = async () => assert.fail('Accounts should not be looked up.');
+
+test('the responders of each unit who accepted the alert', async () => {
+    const alert = {
+        acceptedBy: 'B1',
+        units: [
+            { type: 'traffic', count: 1, acceptedBy: ['B1'] },
+            { type: 'paramedic', count: 2, acceptedBy: ['M1', 'M2'] },
+        ],
+    };
+    assert.deepStrictEqual(await acceptedResponders(alert, noAccounts), [
+        { type: 'traffic', id: 'B1' },
+        { type: 'paramedic', id: 'M1' },
+        { type: 'paramedic', id: 'M2' },
+    ]);
+});
+
+test('nobody for an alert without units that was not accepted', async () => {
+    assert.deepStrictEqual(await acceptedResponders({ units: [], acceptedBy: null }, noAccounts), []);
+});
+
+test('the stored type of the responder on an alert that only has acceptedBy', async () => {
+    const alert = { category: 'Fire & Rescue', units: [], acceptedBy: 'F7' };
+    const accounts = {
+        F7: [
+            { type: 'police', id: 'F7', department: 'Law & Order' },
+            { type: 'firefighter', id: 'F7', department: 'Fire & Rescue' },
+        ],
+    };
+    assert.deepStrictEqual(await acceptedResponders(alert, async id => accounts[id] || []), [{ type: 'firefighter', id: 'F7' }]);
+});
+
+test('nobody when the responder on an alert that only has acceptedBy no longer exists', async () => {
+    const alert = { category: 'Law & Order', units: [], acceptedBy: 'B9' };
+    assert.deepStrictEqual(await acceptedResponders(alert, async () => []), []);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { schemas, validate, validateBody } = require('../schemas');
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+test('a valid payload passes with only the declared fields', () => {
+    const { value, errors } = validate(schemas.alert.report, { message: 'Help', location: { lat: 12.97, lng: 77.59 } });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value, { message: 'Help', location: { lat: 12.97, lng: 77.59 } });
+});
+
+test('required fields, unknown fields and nested fields are reported by path', () => {
+    const { errors } = validate(schemas.alert.report, { location: { lat: 91 }, citizenId: 'someone else' });
+    assert.deepStrictEqual(fieldsOf(errors).sort(), ['citizenId', 'location.lat', 'location.lng']);
+    assert.strictEqual(errors.find(error => error.field === 'citizenId').message, 'Unknown field.');
+});
+
+test('partial payloads may leave out required fields but not break the others', () => {
+    assert.deepStrictEqual(validate(schemas.responder.account, {}, { partial: true }).errors, []);
+    assert.deepStrictEqual(fieldsOf(validate(schemas.responder.account, { status: 'retired' }, { partial: true }).errors), ['status']);
+});
+
+test('types, bounds, enums, nulls and array items are checked', () => {
+    const schema = {
+        name: { type: 'string', minLength: 2, maxLength: 3 },
+        count: { type: 'integer', min: 1 },
+        ratio: { type: 'number', max: 1 },
+        flag: { type: 'boolean' },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        note: { type: 'string', nullable: true },
+        label: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+    };
+    assert.deepStrictEqual(validate(schema, { name: 'ab', count: 2, ratio: 0.5, flag: true, kind: 'a', note: null, tags: ['x'] }).errors, []);
+    const { errors } = validate(schema, { name: 'abcd', count: 1.5, ratio: 2, flag: 'yes', kind: 'c', label: null, tags: ['x', 3] });
+    assert.deepStrictEqual(errors.map(error => `${error.field}: ${error.message}`), [
+        'name: Must be at most 3 characters long.',
+        'count: Must be an integer.',
+        'ratio: Must be at most 1.',
+        'flag: Must be true or false.',
+        'kind: Must be one of: a, b.',
+        'label: Must not be null.',
+        'tags[1]: Must be a string.',
+    ]);
+});
+
+test('payloads that are not objects are rejected', () => {
+    for (const payload of [null, [], 'text']) {
+        assert.deepStrictEqual(validate(schemas.alert.report, payload).errors, [{ field: '', message: 'Must be an object.' }]);
+    }
+});
+
+test('validateBody answers 400 with the errors, ignoring passthrough fields', () => {
+    const run = (body) => {
+        const outcome = {};
+        const res = { status(code) { outcome.status = code; return this; }, json(data) { outcome.body = data; } };
+        validateBody(schemas.alert.message, { passthrough: ['events'] })({ body }, res, () => { outcome.next = true; });
+        return outcome;
+    };
+    assert.deepStrictEqual(run({ body: 'Hello', events: [] }), { next: true });
+    const rejected = run({ body: '' });
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(fieldsOf(rejected.body.errors), ['body']);
+});
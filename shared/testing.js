@@ -0,0 +1,142 @@
+/**
+ * Helpers for tests that run a service in a child process, against stub versions of the
+ * services it calls. Only used by the `test/` directories.
+ */
+
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { IDENTITY_HEADER, encodeIdentity } = require('./auth');
+
+// Runs in the service's process with MQ_TRANSPORT=memory, in place of its `index.js`: it
+// publishes the `{ routingKey, message }` lines the test writes to stdin on the in-memory queue,
+// and prints everything the service publishes as a line starting with PUBLISHED_PREFIX.
+const PUBLISHED_PREFIX = '[test] published ';
+const QUEUE_BRIDGE = `
+const readline = require('readline');
+const queue = require(${JSON.stringify(path.join(__dirname, 'transports', 'memory'))});
+readline.createInterface({ input: process.stdin }).on('line', line => {
+    const { routingKey, message } = JSON.parse(line);
+    queue.publish(routingKey, message);
+});
+queue.connect('test').then(({ subscribe }) => subscribe('#', msg => {
+    console.log(${JSON.stringify(PUBLISHED_PREFIX)} + JSON.stringify({ routingKey: msg.fields.routingKey, payload: JSON.parse(msg.content.toString()) }));
+}, { exclusive: true }));
+require(process.argv[1]);
+`;
+
+/**
+ * Starts a service's `index.js` on a free port and resolves once it logs `ready`, by default
+ * once it is listening. The service
+ * uses the in-memory message queue: `publish(routingKey, payload)` sends it a message, and
+ * `published` collects the `{ routingKey, payload }` of every message it publishes.
+ * @param {string} entry - Path of the service's `index.js`.
+ * @param {object} [env] - Environment variables for the service.
+ * @param {{ ready?: string }} [options]
+ * @returns {Promise<{ url: string, published: object[], publish: Function, stop: () => Promise<void> }>}
+ */
+async function startService(entry, env = {}, { ready = 'listening' } = {}) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, ['-e', QUEUE_BRIDGE, entry], {
+        env: { PATH: process.env.PATH, JWT_SECRET: 'test', ...env, MQ_TRANSPORT: 'memory', PORT: String(port) },
+        stdio: ['pipe', 'pipe', 'inherit'],
+    });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const published = [];
+    await new Promise((resolve, reject) => {
+        exited.then(code => reject(new Error(`${entry} exited with code ${code}.`)));
+        readline.createInterface({ input: child.stdout }).on('line', line => {
+            if (line.startsWith(PUBLISHED_PREFIX)) published.push(JSON.parse(line.slice(PUBLISHED_PREFIX.length)));
+            else if (line.includes(ready)) resolve();
+        });
+    });
+    return {
+        url: `http://localhost:${port}`,
+        published,
+        publish(routingKey, payload) {
+            child.stdin.write(`${JSON.stringify({ routingKey, message: JSON.stringify(payload) })}\n`);
+        },
+        async stop() {
+            child.kill();
+            await exited;
+        },
+    };
+}
+
+const REPLY = Symbol('reply');
+
+/**
+ * What a stub answers with another status than 200, see `startStub`.
+ */
+function reply(status, body = {}) {
+    return { [REPLY]: true, status, body };
+}
+
+/**
+ * Starts an HTTP server standing in for another service. `handle(req, body)` returns the JSON to
+ * answer with, or `reply(status, body)` to answer with another status than 200. Every request
+ * is kept in `requests`, as `{ method, url, body }`.
+ * @returns {Promise<{ url: string, requests: object[], close: () => Promise<void> }>}
+ */
+async function startStub(handle) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const body = raw ? JSON.parse(raw) : undefined;
+            requests.push({ method: req.method, url: req.url, body });
+            const answer = await handle(req, body);
+            const { status, body: json } = answer && answer[REPLY] ? answer : reply(200, answer === undefined ? {} : answer);
+            if (status === 204) return res.writeHead(204).end();
+            res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    return {
+        url: `http://localhost:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+/**
+ * The headers the API Gateway adds to requests of an authenticated caller.
+ */
+function identityHeaders(identity) {
+    return { [IDENTITY_HEADER]: encodeIdentity({ department: null, accessLevel: 'standard', ...identity }) };
+}
+
+/**
+ * Opens a WebSocket to a service as an authenticated caller. `next(type)` resolves with the
+ * first message of that type it has not returned yet, and `messages` keeps them all.
+ * @returns {Promise<{ ws: import('ws'), messages: object[], send: Function, next: Function }>}
+ */
+async function openSocket(url, identity) {
+    const WebSocket = require('ws'); // Only the WebSocket Service's tests need it.
+    const ws = new WebSocket(url.replace(/^http/, 'ws'), { headers: identityHeaders(identity) });
+    const messages = [];
+    const waiting = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        messages.push(message);
+        const waiter = waiting.findIndex(w => w.type === message.type);
+        if (waiter !== -1) waiting.splice(waiter, 1)[0].resolve(message);
+    });
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+    const returned = new Set();
+    return {
+        ws,
+        messages,
+        send: (type, payload) => ws.send(JSON.stringify({ type, payload })),
+        async next(type) {
+            let message = messages.find(m => m.type === type && !returned.has(m));
+            if (!message) message = await new Promise(resolve => waiting.push({ type, resolve }));
+            returned.add(message);
+            return message;
+        },
+    };
+}
+
+module.exports = { startService, startStub, reply, identityHeaders, openSocket };
@@ -0,0 +1,134 @@
+/**
+ * In-process transport for `shared/message-queue.js`, selected with MQ_TRANSPORT=memory.
+ *
+ * It behaves like the RabbitMQ transport within a single Node.js process: topic routing keys
+ * with `*` (exactly one word) and `#` (zero or more words), asynchronous delivery, acknowledgement
+ * when the callback resolves, and bounded retries with exponential backoff. Messages that exhaust
+ * their retries are kept in `deadLetters` instead of a dead-letter queue. Nothing survives a
+ * process restart, so this is meant for local development and tests only.
+ */
+
+const MAX_RETRIES = parseInt(process.env.MQ_MAX_RETRIES || '5', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MQ_RETRY_BASE_DELAY_MS || '1000', 10);
+const RETRY_MAX_DELAY_MS = 60000;
+const RETRY_COUNT_HEADER = 'x-retry-count';
+
+// Each subscription owns a queue of pending messages that it processes in order.
+const subscriptions = [];
+const deadLetters = [];
+
+/**
+ * Checks whether a routing key matches a topic binding pattern, using AMQP topic semantics.
+ * @param {string} pattern - The binding pattern, e.g. 'alert.*' or 'location.#'.
+ * @param {string} routingKey - The key a message was published with, e.g. 'alert.created'.
+ * @returns {boolean}
+ */
+function matchesRoutingKey(pattern, routingKey) {
+    const match = (patternWords, keyWords) => {
+        if (patternWords.length === 0) return keyWords.length === 0;
+        const [head, ...rest] = patternWords;
+        if (head === '#') {
+            // '#' can swallow any number of words, including none.
+            for (let i = 0; i <= keyWords.length; i++) {
+                if (match(rest, keyWords.slice(i))) return true;
+            }
+            return false;
+        }
+        if (keyWords.length === 0) return false;
+        return (head === '*' || head === keyWords[0]) && match(rest, keyWords.slice(1));
+    };
+    return match(pattern.split('.'), routingKey.split('.'));
+}
+
+/**
+ * "Connects" to the in-memory broker. Services running in the same process share the broker,
+ * so each one gets its own connection, named after it like its queues.
+ * @param {string} name - The name of the calling service.
+ * @returns {Promise<{ serviceName: string, publish: Function, subscribe: Function }>}
+ */
+async function connect(name) {
+    const serviceName = name || null;
+    console.log(`[MQ] Using in-memory message queue${serviceName ? ` for ${serviceName}` : ''}.`);
+    return {
+        serviceName,
+        publish,
+        subscribe: (routingKey, callback, options) => subscribe(serviceName, routingKey, callback, options),
+    };
+}
+
+/**
+ * Publishes a message to every subscription whose pattern matches the routing key.
+ * Delivery happens asynchronously, after this promise resolves, as with a real broker.
+ * @param {string} routingKey - The key to route the message (e.g., 'alert.created').
+ * @param {string} message - The message payload, typically a JSON string.
+ * @returns {Promise<void>}
+ */
+async function publish(routingKey, message) {
+    for (const subscription of subscriptions) {
+        if (matchesRoutingKey(subscription.routingKey, routingKey)) {
+            enqueue(subscription, {
+                content: Buffer.from(message),
+                fields: { routingKey },
+                properties: { headers: {} },
+            });
+        }
+    }
+    console.log(`[MQ] > Sent ${routingKey}`);
+}
+
+/**
+ * Subscribes a callback to a routing key pattern, for the service a connection was made for.
+ * Accepts the same options as the RabbitMQ transport; `exclusive` subscriptions are not retried,
+ * matching its behavior.
+ * @param {string|null} serviceName - The name given to `connect`.
+ * @param {string} routingKey - The routing key to listen for (e.g., 'alert.*').
+ * @param {Function} callback - The function to execute with the message.
+ * @param {{ exclusive?: boolean }} [options]
+ */
+async function subscribe(serviceName, routingKey, callback, options = {}) {
+    const name = options.exclusive ? `exclusive:${routingKey}` : `${serviceName}.${routingKey}`;
+    console.log(`[MQ] Binding in-memory queue ${name} with key: ${routingKey}`);
+    subscriptions.push({ name, routingKey, callback, exclusive: !!options.exclusive, pending: [], processing: false });
+}
+
+function enqueue(subscription, msg) {
+    subscription.pending.push(msg);
+    if (!subscription.processing) setImmediate(() => processQueue(subscription));
+}
+
+async function processQueue(subscription) {
+    if (subscription.processing) return;
+    subscription.processing = true;
+    while (subscription.pending.length > 0) {
+        const msg = subscription.pending.shift();
+        console.log(`[MQ] < Received ${msg.fields.routingKey}`);
+        try {
+            await subscription.callback(msg);
+        } catch (err) {
+            handleFailure(subscription, msg, err);
+        }
+    }
+    subscription.processing = false;
+}
+
+function handleFailure(subscription, msg, err) {
+    const retryCount = msg.properties.headers[RETRY_COUNT_HEADER] || 0;
+    if (subscription.exclusive || retryCount >= MAX_RETRIES) {
+        console.error(`[MQ] Giving up on ${msg.fields.routingKey} on ${subscription.name} after ${retryCount} retries:`, err.message);
+        deadLetters.push({ queue: subscription.name, routingKey: msg.fields.routingKey, content: msg.content.toString(), error: err.message });
+        return;
+    }
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** retryCount, RETRY_MAX_DELAY_MS);
+    console.warn(`[MQ] Handler failed for ${msg.fields.routingKey} on ${subscription.name} (attempt ${retryCount + 1}), retrying in ${delay}ms:`, err.message);
+    setTimeout(() => enqueue(subscription, {
+        ...msg,
+        properties: { headers: { ...msg.properties.headers, [RETRY_COUNT_HEADER]: retryCount + 1 } },
+    }), delay);
+}
+
+module.exports = {
+    connect,
+    publish,
+    matchesRoutingKey,
+    deadLetters,
+};